@@ -7,15 +7,21 @@ import Sidebar from './components/Sidebar'
 import Dashboard from './components/Dashboard'
 import Projects from './components/Projects'
 import Deployments from './components/Deployments'
+import Schedule from './components/Schedule'
 import Settings from './components/Settings'
 import Login from './components/auth/Login'
 import ErrorBoundary from './components/ErrorBoundary'
 import { useAuth } from './contexts/AuthContext'
 import errorHandler from './utils/errorHandler'
 import billingService from './services/billingService'
+import deploymentPipeline from './services/deploymentPipeline'
+import scheduledDeployments from './services/scheduledDeployments'
 
 function AppContent() {
-  const [currentView, setCurrentView] = useState('dashboard')
+  // Links to a log line (#log-...) open the Deployments view
+  const [currentView, setCurrentView] = useState(() =>
+    window.location.hash.startsWith('#log-') ? 'deployments' : 'dashboard'
+  )
   const { isAuthenticated, loading } = useAuth()
 
   const renderView = () => {
@@ -26,6 +32,8 @@ function AppContent() {
         return <Projects />
       case 'deployments':
         return <Deployments />
+      case 'schedule':
+        return <Schedule />
       case 'settings':
         return <Settings />
       default:
@@ -70,6 +78,14 @@ function App() {
       try {
         // Initialize Stripe for billing
         await billingService.initializeStripe()
+
+        // Restore deployments from before the last page reload
+        await deploymentPipeline.rehydrate()
+
+        // Arm scheduled deployments; they are kept in sync with the API
+        scheduledDeployments.restore().catch(error => {
+          console.error('Failed to load scheduled deployments:', error)
+        })
         
         // Set up error handler notifications
         errorHandler.addNotificationCallback((error, errorEntry) => {
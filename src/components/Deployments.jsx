@@ -1,12 +1,21 @@
 import React, { useState } from 'react'
 import { useApp } from '../contexts/AppContext'
-import { Search, Filter, RotateCcw, ExternalLink, Clock, CheckCircle, XCircle, ChevronDown } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import toast from 'react-hot-toast'
+import { Search, Filter, RotateCcw, RefreshCw, ExternalLink, Clock, CheckCircle, XCircle, ChevronDown, ShieldCheck, ArrowUpCircle } from 'lucide-react'
+import DeploymentLogs from './deployments/DeploymentLogs'
+import { DeploymentFailureReasons } from '../utils/errorHandler'
 
 const Deployments = () => {
-  const { deployments, projects, rollbackDeployment } = useApp()
+  const { deployments, projects, rollbackDeployment, canSwitchTrafficBack, resumeDeployment, promoteDeployment, canOverrideFreezes, approveDeployment, rejectDeployment } = useApp()
+  const { user, hasPermission } = useAuth()
   const [searchTerm, setSearchTerm] = useState('')
   const [statusFilter, setStatusFilter] = useState('all')
-  const [expandedLogs, setExpandedLogs] = useState({})
+  // A link to a log line (#log-<deploymentId>-L<n>) opens that deployment's logs
+  const [expandedLogs, setExpandedLogs] = useState(() => {
+    const match = window.location.hash.match(/^#log-(.+)-L\d+$/)
+    return match ? { [match[1]]: true } : {}
+  })
 
   const getStatusIcon = (status) => {
     switch (status) {
@@ -16,6 +25,8 @@ const Deployments = () => {
         return <XCircle className="w-4 h-4 text-red-400" />
       case 'building':
         return <Clock className="w-4 h-4 text-orange-400 animate-spin" />
+      case 'awaiting_approval':
+        return <ShieldCheck className="w-4 h-4 text-blue-400" />
       default:
         return <Clock className="w-4 h-4 text-dark-400" />
     }
@@ -29,6 +40,8 @@ const Deployments = () => {
         return 'bg-red-500/10 text-red-400 border-red-500/20'
       case 'building':
         return 'bg-orange-500/10 text-orange-400 border-orange-500/20'
+      case 'awaiting_approval':
+        return 'bg-blue-500/10 text-blue-400 border-blue-500/20'
       default:
         return 'bg-dark-500/10 text-dark-400 border-dark-500/20'
     }
@@ -51,8 +64,81 @@ const Deployments = () => {
     }))
   }
 
-  const handleRollback = (projectId) => {
-    rollbackDeployment(projectId)
+  // Blue-green deployments still within their warm window roll back with a
+  // traffic flip rather than a redeploy
+  const handleRollback = async (deployment) => {
+    const switchBack = canSwitchTrafficBack(deployment.deploymentId)
+
+    try {
+      const result = await rollbackDeployment(deployment.projectId, deployment.deploymentId)
+      if (!result) {
+        toast.error('No previous successful deployment to roll back to')
+      } else if (switchBack) {
+        toast.success(`Switched ${deployment.environment} traffic back to ${deployment.blueGreen.previousColor}`)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }
+
+  // A freeze refuses resumes and promotions; users who may override it are
+  // asked to confirm before trying again with the override
+  const confirmFreezeOverride = (error) =>
+    error.details?.reason === DeploymentFailureReasons.FROZEN && canOverrideFreezes &&
+    window.confirm(`${error.message}\n\nDeploy anyway?`)
+
+  const handleResume = async (deployment, overrideFreeze = false) => {
+    try {
+      await resumeDeployment(deployment.deploymentId, { overrideFreeze })
+      toast.success(`Resuming from ${deployment.failedStage}`)
+    } catch (error) {
+      if (!overrideFreeze && confirmFreezeOverride(error)) {
+        return handleResume(deployment, true)
+      }
+      toast.error(error.message)
+    }
+  }
+
+  const handlePromote = async (deploymentId, overrideFreeze = false) => {
+    try {
+      await promoteDeployment(deploymentId, 'production', { overrideFreeze })
+      toast.success('Promoting to production')
+    } catch (error) {
+      if (!overrideFreeze && confirmFreezeOverride(error)) {
+        return handlePromote(deploymentId, true)
+      }
+      toast.error(error.message)
+    }
+  }
+
+  const pendingApprovals = deployments.filter(d => d.approval?.status === 'pending')
+
+  // Requesters cannot approve their own deployments, nor can anyone approve
+  // a deployment whose requester is unknown
+  const isOwnOrUnknownRequest = (deployment) =>
+    !deployment.requestedBy || deployment.requestedBy === (user?.userId || user?.id)
+
+  const handleApproval = async (deployment, approved) => {
+    if (!hasPermission(deployment.approval.permission)) {
+      toast.error(`You need the ${deployment.approval.permission} permission`)
+      return
+    }
+    if (approved && isOwnOrUnknownRequest(deployment)) {
+      toast.error(deployment.requestedBy
+        ? 'Someone other than the requester must approve this deployment'
+        : 'This deployment has no recorded requester and cannot be approved')
+      return
+    }
+
+    try {
+      if (approved) {
+        await approveDeployment(deployment.deploymentId)
+      } else {
+        await rejectDeployment(deployment.deploymentId)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    }
   }
 
   return (
@@ -84,10 +170,56 @@ const Deployments = () => {
           <option value="all">All Status</option>
           <option value="success">Successful</option>
           <option value="building">Building</option>
+          <option value="awaiting_approval">Awaiting Approval</option>
           <option value="failed">Failed</option>
         </select>
       </div>
 
+      {pendingApprovals.length > 0 && (
+        <div className="card p-6">
+          <h2 className="text-lg font-semibold text-white mb-4">Pending Approvals</h2>
+          <div className="space-y-3">
+            {pendingApprovals.map(deployment => {
+              const project = projects.find(p => p.projectId === deployment.projectId)
+              const canDecide = hasPermission(deployment.approval.permission)
+              const canApprove = canDecide && !isOwnOrUnknownRequest(deployment)
+
+              return (
+                <div key={deployment.deploymentId} className="flex items-center justify-between bg-dark-900 rounded-lg p-4">
+                  <div>
+                    <p className="text-white font-medium">
+                      {project?.projectName} <span className="font-mono text-dark-400">#{deployment.commitHash}</span>
+                      {deployment.environment && <span className="text-dark-400"> → {deployment.environment}</span>}
+                    </p>
+                    <p className="text-xs text-dark-500 mt-1">
+                      Auto-rejects {new Date(deployment.approval.expiresAt).toLocaleString()}
+                      {!canDecide && ` · requires ${deployment.approval.permission}`}
+                      {canDecide && !canApprove && (deployment.requestedBy ? ' · requested by you' : ' · requester unknown')}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => handleApproval(deployment, false)}
+                      disabled={!canDecide}
+                      className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Reject
+                    </button>
+                    <button
+                      onClick={() => handleApproval(deployment, true)}
+                      disabled={!canApprove}
+                      className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Approve
+                    </button>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
       <div className="space-y-4">
         {filteredDeployments.map((deployment, index) => {
           const project = projects.find(p => p.projectId === deployment.projectId)
@@ -109,11 +241,32 @@ const Deployments = () => {
                       <span className={`px-2 py-1 rounded-full text-xs font-medium border ${getStatusColor(deployment.status)}`}>
                         {deployment.status}
                       </span>
+                      {deployment.failureReason === 'timeout' && (
+                        <span className="px-2 py-1 rounded-full text-xs font-medium border bg-orange-500/10 text-orange-400 border-orange-500/20">
+                          timed out
+                        </span>
+                      )}
+                      {deployment.queuePosition && (
+                        <span className="px-2 py-1 rounded-full text-xs font-medium border bg-dark-500/10 text-dark-400 border-dark-500/20">
+                          #{deployment.queuePosition} in queue
+                        </span>
+                      )}
                     </div>
                     
                     <div className="flex items-center space-x-4 text-sm text-dark-400">
                       <span className="font-mono">#{deployment.commitHash}</span>
                       <span>{new Date(deployment.timestamp).toLocaleString()}</span>
+                      {deployment.resumedFrom && (
+                        <span>Resumed from {deployment.resumedFrom}</span>
+                      )}
+                      {deployment.promotedFrom && (
+                        <span>Promoted from {deployment.promotedFrom}</span>
+                      )}
+                      {deployment.approval?.decidedAt && (
+                        <span>
+                          {deployment.approval.status === 'approved' ? 'Approved' : 'Rejected'} by {deployment.approval.decidedBy?.name || 'timeout'} at {new Date(deployment.approval.decidedAt).toLocaleString()}
+                        </span>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -121,13 +274,38 @@ const Deployments = () => {
                 <div className="flex items-center space-x-2">
                   {deployment.status === 'success' && (
                     <button 
-                      onClick={() => handleRollback(deployment.projectId)}
+                      onClick={() => handleRollback(deployment)}
+                      title={canSwitchTrafficBack(deployment.deploymentId)
+                        ? `Switch traffic back to ${deployment.blueGreen.previousColor}, which is still running`
+                        : 'Redeploy the previous successful deployment'}
                       className="btn-secondary flex items-center space-x-2 text-sm"
                     >
                       <RotateCcw className="w-4 h-4" />
                       <span>Rollback</span>
                     </button>
                   )}
+
+                  {deployment.status === 'success' && deployment.environment === 'staging' && (
+                    <button
+                      onClick={() => handlePromote(deployment.deploymentId)}
+                      title="Deploy this build to production without rebuilding"
+                      className="btn-secondary flex items-center space-x-2 text-sm"
+                    >
+                      <ArrowUpCircle className="w-4 h-4" />
+                      <span>Promote to production</span>
+                    </button>
+                  )}
+
+                  {deployment.status === 'failed' && deployment.failedStage && (
+                    <button
+                      onClick={() => handleResume(deployment)}
+                      title={`Retry from ${deployment.failedStage}`}
+                      className="btn-secondary flex items-center space-x-2 text-sm"
+                    >
+                      <RefreshCw className="w-4 h-4" />
+                      <span>Retry from failed stage</span>
+                    </button>
+                  )}
                   
                   <button className="text-dark-400 hover:text-white">
                     <ExternalLink className="w-4 h-4" />
@@ -144,10 +322,7 @@ const Deployments = () => {
               
               {isExpanded && (
                 <div className="mt-4 pt-4 border-t border-dark-700">
-                  <h4 className="text-sm font-medium text-white mb-2">Deployment Logs</h4>
-                  <div className="bg-dark-900 rounded-lg p-4 font-mono text-sm">
-                    <pre className="text-dark-300 whitespace-pre-wrap">{deployment.logs}</pre>
-                  </div>
+                  <DeploymentLogs deployment={deployment} />
                 </div>
               )}
             </div>
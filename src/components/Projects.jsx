@@ -1,11 +1,21 @@
 import React, { useState } from 'react'
 import { useApp } from '../contexts/AppContext'
-import { Plus, Search, Filter, MoreVertical, Rocket, GitBranch, Clock, CheckCircle, XCircle } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { Plus, Search, Filter, MoreVertical, Rocket, GitBranch, Clock, CheckCircle, XCircle, Trash2, GitMerge, ClipboardList, KeyRound } from 'lucide-react'
 import NewProjectModal from './modals/NewProjectModal'
+import PushRulesModal from './modals/PushRulesModal'
+import DeploymentPlanModal from './modals/DeploymentPlanModal'
+import EnvironmentVariablesModal from './modals/EnvironmentVariablesModal'
+import PreviewList from './projects/PreviewList'
+import buildCache from '../services/buildCache'
+import { DeploymentFailureReasons } from '../utils/errorHandler'
 
 const Projects = () => {
-  const { projects, deployProject } = useApp()
+  const { projects, deployProject, canOverrideFreezes } = useApp()
   const [showNewProject, setShowNewProject] = useState(false)
+  const [pushRulesProject, setPushRulesProject] = useState(null)
+  const [planProject, setPlanProject] = useState(null)
+  const [variablesProject, setVariablesProject] = useState(null)
   const [searchTerm, setSearchTerm] = useState('')
   const [filter, setFilter] = useState('all')
 
@@ -41,8 +51,26 @@ const Projects = () => {
     return matchesSearch && matchesFilter
   })
 
-  const handleDeploy = (projectId) => {
-    deployProject(projectId)
+  // During a freeze, users who may override it are asked to confirm
+  const handleDeploy = async (projectId, overrideFreeze = false) => {
+    try {
+      await deployProject(projectId, { overrideFreeze })
+    } catch (error) {
+      if (!overrideFreeze && error.details?.reason === DeploymentFailureReasons.FROZEN && canOverrideFreezes &&
+          window.confirm(`${error.message}\n\nDeploy anyway?`)) {
+        return handleDeploy(projectId, true)
+      }
+      toast.error(error.message)
+    }
+  }
+
+  const handleClearCache = async (project) => {
+    try {
+      await buildCache.clear(project.projectId)
+      toast.success(`Build cache cleared for ${project.projectName}`)
+    } catch (error) {
+      toast.error('Failed to clear build cache')
+    }
   }
 
   return (
@@ -113,6 +141,8 @@ const Projects = () => {
               </span>
             </div>
             
+            <PreviewList projectId={project.projectId} />
+
             {project.lastDeployment && (
               <p className="text-xs text-dark-500 mb-4">
                 Last deployed: {new Date(project.lastDeployment).toLocaleDateString()}
@@ -128,6 +158,34 @@ const Projects = () => {
                 <Rocket className="w-4 h-4" />
                 <span>{project.status === 'building' ? 'Building...' : 'Deploy'}</span>
               </button>
+              <button
+                onClick={() => setPlanProject(project)}
+                title="Plan deployment"
+                className="btn-secondary px-3"
+              >
+                <ClipboardList className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setVariablesProject(project)}
+                title="Environment variables"
+                className="btn-secondary px-3"
+              >
+                <KeyRound className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => handleClearCache(project)}
+                title="Clear build cache"
+                className="btn-secondary px-3"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setPushRulesProject(project)}
+                title="Push-to-deploy rules"
+                className="btn-secondary px-3"
+              >
+                <GitMerge className="w-4 h-4" />
+              </button>
               <button className="btn-secondary px-3">
                 <MoreVertical className="w-4 h-4" />
               </button>
@@ -160,6 +218,18 @@ const Projects = () => {
       {showNewProject && (
         <NewProjectModal onClose={() => setShowNewProject(false)} />
       )}
+
+      {planProject && (
+        <DeploymentPlanModal project={planProject} onClose={() => setPlanProject(null)} />
+      )}
+
+      {variablesProject && (
+        <EnvironmentVariablesModal project={variablesProject} onClose={() => setVariablesProject(null)} />
+      )}
+
+      {pushRulesProject && (
+        <PushRulesModal project={pushRulesProject} onClose={() => setPushRulesProject(null)} />
+      )}
     </div>
   )
 }
@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react'
+import { useApp } from '../contexts/AppContext'
+import { useAuth } from '../contexts/AuthContext'
+import toast from 'react-hot-toast'
+import { CalendarClock, Snowflake, X } from 'lucide-react'
+import scheduledDeployments from '../services/scheduledDeployments'
+import freezeCalendar, { FREEZE_OVERRIDE_PERMISSION } from '../services/freezePeriods'
+
+const DAYS_SHOWN = 14
+const DAY = 24 * 60 * 60 * 1000
+
+const startOfDay = (time) => {
+  const date = new Date(time)
+  date.setHours(0, 0, 0, 0)
+  return date.getTime()
+}
+
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+const inputClassName = 'w-full bg-dark-900 border border-dark-600 rounded-lg px-4 py-2 text-dark-200 placeholder-dark-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+
+const Schedule = () => {
+  const { projects } = useApp()
+  const { user, hasPermission } = useAuth()
+  const [jobs, setJobs] = useState(() => scheduledDeployments.getJobs())
+  const [freezes, setFreezes] = useState(() => freezeCalendar.getFreezes())
+  const [scheduleForm, setScheduleForm] = useState({ projectId: '', environment: 'production', runAt: '' })
+  const [freezeForm, setFreezeForm] = useState({ projectId: '', environment: '', start: '', end: '', reason: '' })
+
+  useEffect(() => {
+    const unsubscribeJobs = scheduledDeployments.subscribe(() => setJobs(scheduledDeployments.getJobs()))
+    const unsubscribeFreezes = freezeCalendar.subscribe(() => setFreezes(freezeCalendar.getFreezes()))
+    freezeCalendar.load().catch(() => toast.error('Failed to load freeze periods'))
+
+    return () => {
+      unsubscribeJobs()
+      unsubscribeFreezes()
+    }
+  }, [])
+
+  const getProjectName = (projectId) =>
+    projectId ? projects.find(p => p.projectId === projectId)?.projectName || projectId : 'All projects'
+
+  const handleSchedule = async (e) => {
+    e.preventDefault()
+
+    try {
+      await scheduledDeployments.schedule(scheduleForm.projectId, new Date(scheduleForm.runAt), {
+        environment: scheduleForm.environment
+      }, { requestedBy: user?.userId || user?.id })
+      toast.success(`Deployment scheduled for ${new Date(scheduleForm.runAt).toLocaleString()}`)
+      setScheduleForm(prev => ({ ...prev, runAt: '' }))
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }
+
+  const handleFreeze = async (e) => {
+    e.preventDefault()
+
+    try {
+      await freezeCalendar.addFreeze({
+        projectId: freezeForm.projectId || null,
+        environment: freezeForm.environment || null,
+        start: new Date(freezeForm.start),
+        end: new Date(freezeForm.end),
+        reason: freezeForm.reason
+      })
+      toast.success('Freeze period declared')
+      setFreezeForm({ projectId: '', environment: '', start: '', end: '', reason: '' })
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }
+
+  const handleRemoveFreeze = async (freezeId) => {
+    try {
+      await freezeCalendar.removeFreeze(freezeId)
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }
+
+  const handleCancel = async (scheduleId) => {
+    try {
+      await scheduledDeployments.cancel(scheduleId)
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }
+
+  const today = startOfDay(Date.now())
+  const days = Array.from({ length: DAYS_SHOWN }, (_, index) => today + index * DAY)
+  const canOverrideFreezes = hasPermission(FREEZE_OVERRIDE_PERMISSION)
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div>
+        <h1 className="text-3xl font-bold text-white">Schedule</h1>
+        <p className="text-dark-400 mt-1">Plan deployment windows and freeze periods</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <form onSubmit={handleSchedule} className="card p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-white">Schedule Deployment</h2>
+          <select
+            value={scheduleForm.projectId}
+            onChange={(e) => setScheduleForm(prev => ({ ...prev, projectId: e.target.value }))}
+            className={inputClassName}
+            required
+          >
+            <option value="">Select a project</option>
+            {projects.map(project => (
+              <option key={project.projectId} value={project.projectId}>{project.projectName}</option>
+            ))}
+          </select>
+          <div className="grid grid-cols-2 gap-4">
+            <input
+              type="text"
+              value={scheduleForm.environment}
+              onChange={(e) => setScheduleForm(prev => ({ ...prev, environment: e.target.value }))}
+              placeholder="production"
+              className={inputClassName}
+              required
+            />
+            <input
+              type="datetime-local"
+              value={scheduleForm.runAt}
+              onChange={(e) => setScheduleForm(prev => ({ ...prev, runAt: e.target.value }))}
+              className={inputClassName}
+              required
+            />
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" className="btn-primary">Schedule</button>
+          </div>
+        </form>
+
+        <form onSubmit={handleFreeze} className="card p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-white">Declare Freeze</h2>
+          <div className="grid grid-cols-2 gap-4">
+            <select
+              value={freezeForm.projectId}
+              onChange={(e) => setFreezeForm(prev => ({ ...prev, projectId: e.target.value }))}
+              className={inputClassName}
+            >
+              <option value="">All projects</option>
+              {projects.map(project => (
+                <option key={project.projectId} value={project.projectId}>{project.projectName}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={freezeForm.environment}
+              onChange={(e) => setFreezeForm(prev => ({ ...prev, environment: e.target.value }))}
+              placeholder="All environments"
+              className={inputClassName}
+            />
+            <input
+              type="datetime-local"
+              value={freezeForm.start}
+              onChange={(e) => setFreezeForm(prev => ({ ...prev, start: e.target.value }))}
+              className={inputClassName}
+              required
+            />
+            <input
+              type="datetime-local"
+              value={freezeForm.end}
+              onChange={(e) => setFreezeForm(prev => ({ ...prev, end: e.target.value }))}
+              className={inputClassName}
+              required
+            />
+          </div>
+          <input
+            type="text"
+            value={freezeForm.reason}
+            onChange={(e) => setFreezeForm(prev => ({ ...prev, reason: e.target.value }))}
+            placeholder="Reason (e.g. holiday freeze)"
+            className={inputClassName}
+          />
+          <div className="flex justify-end">
+            <button type="submit" className="btn-primary">Declare Freeze</button>
+          </div>
+        </form>
+      </div>
+
+      <div className="card p-6">
+        <h2 className="text-lg font-semibold text-white mb-4">Next {DAYS_SHOWN} Days</h2>
+        <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+          {days.map(day => {
+            const dayJobs = jobs.filter(job => job.runAt >= day && job.runAt < day + DAY)
+            const dayFreezes = freezes.filter(freeze => freeze.start < day + DAY && freeze.end > day)
+
+            return (
+              <div
+                key={day}
+                className={`min-h-[7rem] rounded-lg p-2 border ${
+                  dayFreezes.length > 0 ? 'bg-blue-500/5 border-blue-500/20' : 'bg-dark-900 border-dark-700'
+                }`}
+              >
+                <p className={`text-xs font-medium mb-2 ${day === today ? 'text-primary-400' : 'text-dark-400'}`}>
+                  {new Date(day).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+                </p>
+
+                <ul className="space-y-1">
+                  {dayFreezes.map(freeze => (
+                    <li key={freeze.freezeId} className="flex items-start justify-between text-xs text-blue-400">
+                      <span className="flex items-start space-x-1 min-w-0">
+                        <Snowflake className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                        <span className="truncate" title={`${getProjectName(freeze.projectId)} · ${freeze.environment || 'all environments'}`}>
+                          {freeze.reason || 'Freeze'}
+                        </span>
+                      </span>
+                      {canOverrideFreezes && (
+                        <button
+                          onClick={() => handleRemoveFreeze(freeze.freezeId)}
+                          title="Remove freeze"
+                          className="text-dark-500 hover:text-white"
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      )}
+                    </li>
+                  ))}
+
+                  {dayJobs.map(job => (
+                    <li key={job.scheduleId} className="flex items-start justify-between text-xs">
+                      <span className="flex items-start space-x-1 min-w-0 text-dark-300" title={job.error || job.status}>
+                        <CalendarClock className="w-3 h-3 mt-0.5 flex-shrink-0 text-primary-400" />
+                        <span className="truncate">
+                          {formatTime(job.runAt)} {getProjectName(job.projectId)}
+                          {job.status !== 'scheduled' && <span className="text-dark-500"> ({job.status})</span>}
+                        </span>
+                      </span>
+                      {job.status === 'scheduled' && (
+                        <button
+                          onClick={() => handleCancel(job.scheduleId)}
+                          title="Cancel scheduled deployment"
+                          className="text-dark-500 hover:text-white"
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Schedule
@@ -6,7 +6,8 @@ import {
   Settings, 
   CreditCard,
   BarChart3,
-  GitBranch
+  GitBranch,
+  CalendarClock
 } from 'lucide-react'
 
 const Sidebar = ({ currentView, onViewChange }) => {
@@ -14,6 +15,7 @@ const Sidebar = ({ currentView, onViewChange }) => {
     { id: 'dashboard', label: 'Dashboard', icon: LayoutDashboard },
     { id: 'projects', label: 'Projects', icon: FolderGit2 },
     { id: 'deployments', label: 'Deployments', icon: Rocket },
+    { id: 'schedule', label: 'Schedule', icon: CalendarClock },
     { id: 'analytics', label: 'Analytics', icon: BarChart3 },
     { id: 'settings', label: 'Settings', icon: Settings },
   ]
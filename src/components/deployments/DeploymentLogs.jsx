@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react'
+import { Radio, WifiOff } from 'lucide-react'
+import deploymentPipeline from '../../services/deploymentPipeline'
+import environmentVariables from '../../services/environmentVariables'
+import logStream, { ConnectionStates } from '../../services/logStream'
+import { redact, secretRegistry } from '../../utils/redaction'
+import LogViewer from './LogViewer'
+
+// Deployments still producing logs
+const LIVE_STATUSES = ['queued', 'building', 'awaiting_approval']
+
+// Matches the pipeline's per-deployment log limit
+const MAX_ENTRIES = 1000
+
+// Plain-text logs (e.g. from the deployments list) become one entry per line
+const toEntries = (logs) => {
+  if (Array.isArray(logs)) return logs
+  return (logs || '').split('\n').filter(Boolean).map(message => ({ message }))
+}
+
+const countLines = (entry) => String(entry.message ?? '').split('\n').length
+
+// Append entries numbered after the last one (see entry.line in LogViewer)
+// and keep the newest MAX_ENTRIES; numbers do not shift as old ones drop
+const appendEntries = (prev, added) => {
+  const last = prev[prev.length - 1]
+  let line = last ? last.line + countLines(last) : 1
+
+  const numbered = added.map(entry => {
+    const numberedEntry = { ...entry, line }
+    line += countLines(entry)
+    return numberedEntry
+  })
+  return [...prev, ...numbered].slice(-MAX_ENTRIES)
+}
+
+// Deployment logs that tail live: from the pipeline when it runs the
+// deployment, otherwise straight from the server's log stream
+const DeploymentLogs = ({ deployment }) => {
+  const { deploymentId, projectId, environment } = deployment
+  const tracked = Boolean(deploymentPipeline.getDeploymentStatus(deploymentId))
+  const live = tracked || LIVE_STATUSES.includes(deployment.status)
+
+  // The pipeline masks secrets in the logs it keeps; logs from the server
+  // are masked here
+  const maskEntry = (entry) => ({
+    ...entry,
+    message: redact(entry.message, secretRegistry.getMatcher({ projectId, environment }))
+  })
+
+  const [entries, setEntries] = useState(() =>
+    tracked ? deploymentPipeline.getDeploymentLogs(deploymentId) : appendEntries([], toEntries(deployment.logs).map(maskEntry))
+  )
+  const [connection, setConnection] = useState(logStream.getState())
+
+  useEffect(() => {
+    if (tracked) {
+      setEntries([...deploymentPipeline.getDeploymentLogs(deploymentId)])
+      return deploymentPipeline.subscribe(deploymentId, (update) => {
+        if (update.log) setEntries(prev => [...prev, update.log].slice(-MAX_ENTRIES))
+      })
+    }
+
+    // Learn the environment's secret names before masking the server's logs
+    let unsubscribe = null
+    let cancelled = false
+    const secretNames = projectId && environment
+      ? environmentVariables.getVariables(projectId, environment).catch(error => {
+        console.error('Failed to load secret names for redaction:', error)
+      })
+      : Promise.resolve()
+
+    secretNames.then(() => {
+      if (cancelled) return
+      setEntries(appendEntries([], toEntries(deployment.logs).map(maskEntry)))
+      if (live) {
+        unsubscribe = logStream.subscribe(deploymentId, {
+          onLog: entry => setEntries(prev => appendEntries(prev, [maskEntry(entry)]))
+        })
+      }
+    })
+
+    return () => {
+      cancelled = true
+      unsubscribe?.()
+    }
+  }, [deploymentId, tracked, live])
+
+  useEffect(() => logStream.onStateChange(setConnection), [])
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-white">Deployment Logs</h4>
+        {live && (connection === ConnectionStates.OPEN ? (
+          <span className="flex items-center space-x-1 text-xs text-green-400">
+            <Radio className="w-3 h-3" />
+            <span>Live</span>
+          </span>
+        ) : connection === ConnectionStates.RECONNECTING && (
+          <span className="flex items-center space-x-1 text-xs text-yellow-400">
+            <WifiOff className="w-3 h-3" />
+            <span>Reconnecting...</span>
+          </span>
+        ))}
+      </div>
+      <LogViewer entries={entries} deploymentId={deploymentId} />
+    </div>
+  )
+}
+
+export default DeploymentLogs
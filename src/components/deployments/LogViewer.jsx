@@ -0,0 +1,382 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import { Search, ChevronUp, ChevronDown, ChevronRight, Download, Clock } from 'lucide-react'
+import { parseAnsi, stripAnsi, toCssStyle } from '../../utils/ansi'
+
+// Rows have a fixed height so only the visible ones need rendering
+const ROW_HEIGHT = 20 // px, matches leading-5
+const VIEWPORT_HEIGHT = 384 // px
+const OVERSCAN = 20
+
+const LEVELS = ['info', 'success', 'warning', 'error']
+
+const LEVEL_COLORS = {
+  error: 'text-red-400',
+  warning: 'text-yellow-400',
+  success: 'text-green-400'
+}
+
+const selectClassName = 'bg-dark-900 border border-dark-600 rounded-lg px-2 py-1 text-xs text-dark-200 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour12: false })
+
+// Deep link to a log line, e.g. #log-dep-1-L42
+const getLineHash = (deploymentId, number) => `#log-${deploymentId}-L${number}`
+
+const parseLineHash = (deploymentId, hash) => {
+  const prefix = `#log-${deploymentId}-L`
+  return hash.startsWith(prefix) ? Number(hash.slice(prefix.length)) || null : null
+}
+
+// Parsed lines per log entry; entries are immutable once logged
+const parsedEntries = new WeakMap()
+
+// One display line per line of each entry's message. As in a terminal, text
+// before a carriage return (progress bars) is overwritten by what follows.
+// Numbering starts at entry.line when set, so line links survive older
+// entries being dropped; otherwise it continues from the previous entry.
+const toLines = (entries) => {
+  const lines = []
+  let nextNumber = 1
+
+  entries.forEach(entry => {
+    let parsed = parsedEntries.get(entry)
+    if (!parsed) {
+      parsed = String(entry.message ?? '').split('\n').map(raw => {
+        const text = raw.replace(/\r$/, '').split('\r').pop()
+        return { segments: parseAnsi(text), plain: stripAnsi(text) }
+      })
+      parsedEntries.set(entry, parsed)
+    }
+
+    const firstNumber = entry.line ?? nextNumber
+    nextNumber = firstNumber + parsed.length
+
+    parsed.forEach((line, index) => lines.push({
+      ...line,
+      number: firstNumber + index,
+      level: entry.level || 'info',
+      stage: entry.stage || null,
+      timestamp: index === 0 ? entry.timestamp : null
+    }))
+  })
+
+  return lines
+}
+
+// [start, end) offsets of every case-insensitive occurrence of query
+const findMatches = (text, query) => {
+  const ranges = []
+  const haystack = text.toLowerCase()
+  let index = haystack.indexOf(query)
+  while (query && index !== -1) {
+    ranges.push([index, index + query.length])
+    index = haystack.indexOf(query, index + query.length)
+  }
+  return ranges
+}
+
+// Split segments at match boundaries, flagging the matched parts
+const markMatches = (segments, ranges) => {
+  if (ranges.length === 0) return segments
+
+  const marked = []
+  let offset = 0
+
+  segments.forEach(segment => {
+    const end = offset + segment.text.length
+    let cursor = offset
+
+    ranges.forEach(([start, stop]) => {
+      if (stop <= cursor || start >= end) return
+      if (start > cursor) {
+        marked.push({ ...segment, text: segment.text.slice(cursor - offset, start - offset) })
+      }
+      const markEnd = Math.min(stop, end)
+      marked.push({ ...segment, text: segment.text.slice(Math.max(start, cursor) - offset, markEnd - offset), mark: true })
+      cursor = markEnd
+    })
+
+    if (cursor < end) {
+      marked.push({ ...segment, text: segment.text.slice(cursor - offset) })
+    }
+    offset = end
+  })
+
+  return marked
+}
+
+const downloadText = (text, filename) => {
+  const blob = new Blob([text], { type: 'text/plain' })
+  const url = window.URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  window.URL.revokeObjectURL(url)
+}
+
+// Virtualized log viewer with ANSI colors, search, level/stage filters,
+// foldable stages, timestamps and links to individual lines
+const LogViewer = ({ entries, deploymentId }) => {
+  const [query, setQuery] = useState('')
+  const [currentMatch, setCurrentMatch] = useState(0)
+  const [levelFilter, setLevelFilter] = useState('all')
+  const [stageFilter, setStageFilter] = useState('all')
+  const [showTimestamps, setShowTimestamps] = useState(true)
+  const [folded, setFolded] = useState(() => new Set())
+  const [selectedLine, setSelectedLine] = useState(() => parseLineHash(deploymentId, window.location.hash))
+  const [scrollTop, setScrollTop] = useState(0)
+
+  const containerRef = useRef(null)
+  const followRef = useRef(!selectedLine)
+  const pendingScrollRef = useRef(selectedLine)
+
+  const lines = useMemo(() => toLines(entries), [entries])
+  const stages = useMemo(() => [...new Set(lines.map(line => line.stage).filter(Boolean))], [lines])
+
+  const filteredLines = useMemo(() => lines.filter(line =>
+    (levelFilter === 'all' || line.level === levelFilter) &&
+    (stageFilter === 'all' || line.stage === stageFilter)
+  ), [lines, levelFilter, stageFilter])
+
+  // Consecutive lines of the same stage form a foldable group, keyed by its
+  // first line so folding survives new lines arriving
+  const { rows, groupOf } = useMemo(() => {
+    const rows = []
+    const groupOf = new Map()
+    let group = null
+
+    filteredLines.forEach(line => {
+      if (!group || line.stage !== group.stage) {
+        group = { type: 'stage', stage: line.stage, key: line.stage ? `stage-${line.number}` : null, count: 0 }
+        if (group.key) rows.push(group)
+      }
+      group.count += 1
+      groupOf.set(line.number, group.key)
+      if (!folded.has(group.key)) rows.push({ type: 'line', line })
+    })
+
+    return { rows, groupOf }
+  }, [filteredLines, folded])
+
+  const normalizedQuery = query.trim().toLowerCase()
+  const matches = useMemo(() => (normalizedQuery
+    ? filteredLines.filter(line => line.plain.toLowerCase().includes(normalizedQuery)).map(line => line.number)
+    : []
+  ), [filteredLines, normalizedQuery])
+
+  // Bring a line into view, unfolding its stage if needed
+  const goToLine = (number) => {
+    const groupKey = groupOf.get(number)
+    if (groupKey && folded.has(groupKey)) {
+      setFolded(prev => {
+        const next = new Set(prev)
+        next.delete(groupKey)
+        return next
+      })
+    }
+    followRef.current = false
+    pendingScrollRef.current = number
+  }
+
+  const goToMatch = (index) => {
+    if (matches.length === 0) return
+    const wrapped = (index + matches.length) % matches.length
+    setCurrentMatch(wrapped)
+    goToLine(matches[wrapped])
+  }
+
+  useEffect(() => {
+    setCurrentMatch(0)
+    if (matches.length > 0) goToLine(matches[0])
+  }, [normalizedQuery])
+
+  // Scroll after rows change: to a requested line, or to the end while following
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+
+    if (pendingScrollRef.current) {
+      const index = rows.findIndex(row => row.type === 'line' && row.line.number === pendingScrollRef.current)
+      if (index !== -1) {
+        container.scrollTop = Math.max(index * ROW_HEIGHT - VIEWPORT_HEIGHT / 2, 0)
+        pendingScrollRef.current = null
+      }
+    } else if (followRef.current) {
+      container.scrollTop = container.scrollHeight
+    }
+    setScrollTop(container.scrollTop)
+  }, [rows, currentMatch, normalizedQuery])
+
+  const handleScroll = () => {
+    const container = containerRef.current
+    setScrollTop(container.scrollTop)
+    followRef.current = container.scrollHeight - container.scrollTop - container.clientHeight < ROW_HEIGHT
+  }
+
+  const handleSearchKey = (e) => {
+    if (e.key !== 'Enter') return
+    e.preventDefault()
+    goToMatch(currentMatch + (e.shiftKey ? -1 : 1))
+  }
+
+  const toggleFold = (key) => {
+    setFolded(prev => {
+      const next = new Set(prev)
+      if (next.has(key)) next.delete(key)
+      else next.add(key)
+      return next
+    })
+  }
+
+  const handleLineLink = (e, number) => {
+    e.preventDefault()
+    setSelectedLine(number)
+    window.history.replaceState(null, '', getLineHash(deploymentId, number))
+  }
+
+  const handleDownload = () => {
+    const text = lines.map(line => [
+      line.timestamp ? new Date(line.timestamp).toISOString() : ''.padEnd(24),
+      line.level.toUpperCase().padEnd(7),
+      line.stage ? `[${line.stage}]` : '',
+      line.plain
+    ].filter(Boolean).join(' ')).join('\n')
+
+    downloadText(`${text}\n`, `${deploymentId}.log`)
+  }
+
+  const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN)
+  const end = Math.min(rows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN)
+  const currentMatchLine = matches[currentMatch]
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-[12rem]">
+          <Search className="absolute left-2 top-1/2 transform -translate-y-1/2 text-dark-400 w-3 h-3" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleSearchKey}
+            placeholder="Search logs..."
+            className={`${selectClassName} w-full pl-7`}
+          />
+        </div>
+        <span className="text-xs text-dark-400 w-14 text-center">
+          {normalizedQuery ? `${matches.length > 0 ? currentMatch + 1 : 0}/${matches.length}` : ''}
+        </span>
+        <button
+          onClick={() => goToMatch(currentMatch - 1)}
+          disabled={matches.length === 0}
+          title="Previous match (Shift+Enter)"
+          className="text-dark-400 hover:text-white disabled:opacity-50"
+        >
+          <ChevronUp className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => goToMatch(currentMatch + 1)}
+          disabled={matches.length === 0}
+          title="Next match (Enter)"
+          className="text-dark-400 hover:text-white disabled:opacity-50"
+        >
+          <ChevronDown className="w-4 h-4" />
+        </button>
+        <select value={levelFilter} onChange={(e) => setLevelFilter(e.target.value)} className={selectClassName}>
+          <option value="all">All levels</option>
+          {LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+        </select>
+        <select value={stageFilter} onChange={(e) => setStageFilter(e.target.value)} className={selectClassName}>
+          <option value="all">All stages</option>
+          {stages.map(stage => <option key={stage} value={stage}>{stage}</option>)}
+        </select>
+        <button
+          onClick={() => setShowTimestamps(prev => !prev)}
+          title={showTimestamps ? 'Hide timestamps' : 'Show timestamps'}
+          className={showTimestamps ? 'text-primary-400 hover:text-primary-300' : 'text-dark-400 hover:text-white'}
+        >
+          <Clock className="w-4 h-4" />
+        </button>
+        <button onClick={handleDownload} title="Download log" className="text-dark-400 hover:text-white">
+          <Download className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div
+        ref={containerRef}
+        onScroll={handleScroll}
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        className="bg-dark-900 rounded-lg py-2 font-mono text-xs overflow-auto"
+      >
+        {rows.length === 0 ? (
+          <p className="px-4 leading-5 text-dark-500">No log lines{lines.length > 0 ? ' match the filters' : ''}</p>
+        ) : (
+          <div style={{ height: rows.length * ROW_HEIGHT }} className="relative">
+            <div style={{ transform: `translateY(${start * ROW_HEIGHT}px)` }} className="w-max min-w-full">
+              {rows.slice(start, end).map(row => {
+                if (row.type === 'stage') {
+                  const isFolded = folded.has(row.key)
+                  return (
+                    <button
+                      key={row.key}
+                      onClick={() => toggleFold(row.key)}
+                      className="flex items-center space-x-1 w-full h-5 leading-5 px-2 text-left text-dark-400 hover:text-white"
+                    >
+                      {isFolded ? <ChevronRight className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                      <span className="font-semibold">{row.stage}</span>
+                      <span className="text-dark-600">({row.count} {row.count === 1 ? 'line' : 'lines'})</span>
+                    </button>
+                  )
+                }
+
+                const { line } = row
+                const segments = normalizedQuery
+                  ? markMatches(line.segments, findMatches(line.plain, normalizedQuery))
+                  : line.segments
+
+                return (
+                  <div
+                    key={line.number}
+                    className={`flex h-5 leading-5 ${
+                      line.number === selectedLine ? 'bg-primary-500/10'
+                        : line.number === currentMatchLine ? 'bg-yellow-500/10' : ''
+                    }`}
+                  >
+                    <a
+                      href={getLineHash(deploymentId, line.number)}
+                      onClick={(e) => handleLineLink(e, line.number)}
+                      className="sticky left-0 w-12 flex-shrink-0 pr-3 text-right text-dark-600 hover:text-dark-300 bg-dark-900 select-none"
+                    >
+                      {line.number}
+                    </a>
+                    {showTimestamps && (
+                      <span className="w-20 flex-shrink-0 text-dark-500 select-none">
+                        {line.timestamp ? formatTime(line.timestamp) : ''}
+                      </span>
+                    )}
+                    <span className={`whitespace-pre pr-4 ${LEVEL_COLORS[line.level] || 'text-dark-300'}`}>
+                      {segments.map((segment, index) => (
+                        <span
+                          key={index}
+                          style={toCssStyle(segment.style)}
+                          className={segment.mark ? 'bg-yellow-500/40 text-white' : undefined}
+                        >
+                          {segment.text}
+                        </span>
+                      ))}
+                    </span>
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default LogViewer
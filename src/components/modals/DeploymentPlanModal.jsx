@@ -0,0 +1,48 @@
+import React, { useState } from 'react'
+import { X } from 'lucide-react'
+import DeploymentPlan from '../projects/DeploymentPlan'
+
+const DeploymentPlanModal = ({ project, onClose }) => {
+  const [environment, setEnvironment] = useState(project.deployConfig.environment || 'production')
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-dark-800 rounded-xl border border-dark-700 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-dark-700">
+          <h2 className="text-xl font-semibold text-white">Plan Deployment</h2>
+          <button
+            onClick={onClose}
+            className="text-dark-400 hover:text-white transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <p className="text-sm text-dark-400">
+            What deploying {project.projectName} would do. Nothing is deployed or changed.
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium text-dark-300 mb-2">
+              Environment
+            </label>
+            <select
+              value={environment}
+              onChange={(e) => setEnvironment(e.target.value)}
+              className="w-full bg-dark-900 border border-dark-600 rounded-lg px-4 py-2 text-dark-200 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="production">Production</option>
+              <option value="staging">Staging</option>
+              <option value="development">Development</option>
+            </select>
+          </div>
+
+          <DeploymentPlan projectId={project.projectId} project={project} environment={environment} />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DeploymentPlanModal
@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react'
+import toast from 'react-hot-toast'
+import { useAuth } from '../../contexts/AuthContext'
+import { X, Lock, Plus, Save, Trash2 } from 'lucide-react'
+import environmentVariables from '../../services/environmentVariables'
+import { VARIABLE_TARGETS } from '../../services/deploymentPipeline'
+
+const inputClassName = 'bg-dark-900 border border-dark-600 rounded-lg px-3 py-2 text-sm text-dark-200 placeholder-dark-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+
+const EMPTY_VARIABLE = { name: '', value: '', target: VARIABLE_TARGETS.BOTH, secret: false }
+
+const EnvironmentVariablesModal = ({ project, onClose }) => {
+  const { user } = useAuth()
+  const [environment, setEnvironment] = useState(project.deployConfig.environment || 'production')
+  const [variables, setVariables] = useState([])
+  const [edits, setEdits] = useState({})
+  const [newVariable, setNewVariable] = useState(EMPTY_VARIABLE)
+  const [redeploy, setRedeploy] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const requestedBy = user?.userId || user?.id
+
+  const loadVariables = async () => {
+    setLoading(true)
+    try {
+      setVariables(await environmentVariables.getVariables(project.projectId, environment))
+      setEdits({})
+      setError(null)
+    } catch (loadError) {
+      setError(loadError.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadVariables()
+  }, [project.projectId, environment])
+
+  // Run a change, then report whether a redeploy was started
+  const applyChange = async (change, message) => {
+    try {
+      const { deployment } = await change()
+      toast.success(deployment ? `${message}; redeploying ${environment}` : message)
+      await loadVariables()
+      return true
+    } catch (changeError) {
+      toast.error(changeError.message)
+      return false
+    }
+  }
+
+  const updateEdit = (name, field, value) => {
+    setEdits(prev => ({ ...prev, [name]: { ...prev[name], [field]: value } }))
+  }
+
+  const handleSave = (variable) => {
+    const edit = edits[variable.name] || {}
+    applyChange(() => environmentVariables.setVariable(project.projectId, environment, {
+      name: variable.name,
+      secret: variable.secret,
+      target: edit.target || variable.target,
+      value: edit.value ?? (variable.secret ? '' : variable.value)
+    }, { isNew: false, redeploy, requestedBy }), `Updated ${variable.name}`)
+  }
+
+  const handleDelete = (variable) => {
+    applyChange(
+      () => environmentVariables.deleteVariable(project.projectId, environment, variable.name, { redeploy, requestedBy }),
+      `Deleted ${variable.name}`
+    )
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+
+    const added = await applyChange(
+      () => environmentVariables.setVariable(project.projectId, environment, newVariable, { redeploy, requestedBy }),
+      `Added ${newVariable.name}`
+    )
+    if (added) setNewVariable(EMPTY_VARIABLE)
+  }
+
+  const targetOptions = Object.values(VARIABLE_TARGETS).map(target => (
+    <option key={target} value={target}>{target}</option>
+  ))
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-dark-800 rounded-xl border border-dark-700 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-dark-700">
+          <h2 className="text-xl font-semibold text-white">Environment Variables</h2>
+          <button
+            onClick={onClose}
+            className="text-dark-400 hover:text-white transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-dark-400">
+              Variables for {project.projectName}. Build variables are available to the build command, runtime variables
+              to the running application. Secret values cannot be viewed once saved.
+            </p>
+            <select
+              value={environment}
+              onChange={(e) => setEnvironment(e.target.value)}
+              className={`${inputClassName} ml-4`}
+            >
+              <option value="production">Production</option>
+              <option value="staging">Staging</option>
+              <option value="development">Development</option>
+            </select>
+          </div>
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
+          <div className="space-y-3">
+            {!loading && variables.length === 0 && !error && (
+              <p className="text-sm text-dark-500">No variables for {environment} yet.</p>
+            )}
+
+            {variables.map(variable => {
+              const edit = edits[variable.name] || {}
+              const changed = edit.value !== undefined || (edit.target && edit.target !== variable.target)
+
+              return (
+                <div key={variable.name} className="flex items-center space-x-3">
+                  <span className="w-48 flex-shrink-0 flex items-center space-x-2 font-mono text-sm text-dark-200 truncate">
+                    {variable.secret && <Lock className="w-3 h-3 text-accent-500 flex-shrink-0" title="Secret" />}
+                    <span className="truncate">{variable.name}</span>
+                  </span>
+                  <input
+                    type={variable.secret ? 'password' : 'text'}
+                    value={edit.value ?? (variable.secret ? '' : variable.value ?? '')}
+                    onChange={(e) => updateEdit(variable.name, 'value', e.target.value)}
+                    placeholder={variable.secret ? '•••••••• (enter a new value to replace)' : ''}
+                    autoComplete="off"
+                    className={`${inputClassName} flex-1 font-mono`}
+                  />
+                  <select
+                    value={edit.target || variable.target}
+                    onChange={(e) => updateEdit(variable.name, 'target', e.target.value)}
+                    className={inputClassName}
+                  >
+                    {targetOptions}
+                  </select>
+                  <button
+                    onClick={() => handleSave(variable)}
+                    disabled={!changed}
+                    title="Save"
+                    className="text-dark-400 hover:text-white disabled:opacity-30"
+                  >
+                    <Save className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(variable)}
+                    title="Delete"
+                    className="text-dark-400 hover:text-red-400"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              )
+            })}
+          </div>
+
+          <form onSubmit={handleAdd} className="pt-4 border-t border-dark-700 space-y-3">
+            <div className="flex items-center space-x-3">
+              <input
+                type="text"
+                required
+                value={newVariable.name}
+                onChange={(e) => setNewVariable(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="DATABASE_URL"
+                className={`${inputClassName} w-48 flex-shrink-0 font-mono`}
+              />
+              <input
+                type={newVariable.secret ? 'password' : 'text'}
+                value={newVariable.value}
+                onChange={(e) => setNewVariable(prev => ({ ...prev, value: e.target.value }))}
+                placeholder="Value"
+                autoComplete="off"
+                className={`${inputClassName} flex-1 font-mono`}
+              />
+              <select
+                value={newVariable.target}
+                onChange={(e) => setNewVariable(prev => ({ ...prev, target: e.target.value }))}
+                className={inputClassName}
+              >
+                {targetOptions}
+              </select>
+            </div>
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-6 text-sm text-dark-300">
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={newVariable.secret}
+                    onChange={(e) => setNewVariable(prev => ({ ...prev, secret: e.target.checked }))}
+                  />
+                  <span>Secret</span>
+                </label>
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={redeploy}
+                    onChange={(e) => setRedeploy(e.target.checked)}
+                  />
+                  <span>Redeploy {environment} after each change</span>
+                </label>
+              </div>
+              <button type="submit" className="btn-primary flex items-center space-x-2">
+                <Plus className="w-4 h-4" />
+                <span>Add Variable</span>
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default EnvironmentVariablesModal
@@ -1,6 +1,7 @@
-import React, { useState } from 'react'
+import React, { useState, useMemo } from 'react'
 import { useApp } from '../../contexts/AppContext'
 import { X, GitBranch, Globe, Server } from 'lucide-react'
+import DeploymentPlan from '../projects/DeploymentPlan'
 
 const NewProjectModal = ({ onClose }) => {
   const { createProject } = useApp()
@@ -31,6 +32,17 @@ const NewProjectModal = ({ onClose }) => {
     }))
   }
 
+  // Unsaved project for the deployment plan preview
+  const draftProject = useMemo(() => ({
+    projectName: formData.projectName,
+    repoUrl: formData.repoUrl,
+    deployConfig: {
+      framework: formData.framework,
+      buildCommand: formData.buildCommand,
+      startCommand: formData.startCommand
+    }
+  }), [formData.projectName, formData.repoUrl, formData.framework, formData.buildCommand, formData.startCommand])
+
   const handleSubmit = (e) => {
     e.preventDefault()
     
@@ -156,15 +168,7 @@ const NewProjectModal = ({ onClose }) => {
             </select>
           </div>
           
-          <div className="bg-dark-900 rounded-lg p-4">
-            <h3 className="text-sm font-medium text-white mb-2">Preview Configuration</h3>
-            <div className="text-xs text-dark-400 space-y-1">
-              <p><span className="text-dark-300">Framework:</span> {formData.framework}</p>
-              <p><span className="text-dark-300">Build:</span> {formData.buildCommand}</p>
-              <p><span className="text-dark-300">Start:</span> {formData.startCommand}</p>
-              <p><span className="text-dark-300">Environment:</span> {formData.environment}</p>
-            </div>
-          </div>
+          <DeploymentPlan project={draftProject} environment={formData.environment} />
           
           <div className="flex justify-end space-x-3 pt-4 border-t border-dark-700">
             <button
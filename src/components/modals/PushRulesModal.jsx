@@ -0,0 +1,137 @@
+import React, { useState } from 'react'
+import { useApp } from '../../contexts/AppContext'
+import { X, GitBranch, Plus, Trash2 } from 'lucide-react'
+import pushDeployments, { DEFAULT_PUSH_RULES, SKIP_MARKERS } from '../../services/pushDeployments'
+
+const PushRulesModal = ({ project, onClose }) => {
+  const { updateProject } = useApp()
+  const [rules, setRules] = useState(() => project.deployConfig.pushRules || DEFAULT_PUSH_RULES)
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const updateRule = (index, field, value) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)))
+  }
+
+  const addRule = () => {
+    setRules(prev => [...prev, { branch: '', environment: 'staging' }])
+  }
+
+  const removeRule = (index) => {
+    setRules(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    setSaving(true)
+    try {
+      await pushDeployments.savePushRules(project.projectId, rules)
+    } catch (saveError) {
+      setError(saveError.message)
+      setSaving(false)
+      return
+    }
+
+    updateProject(project.projectId, {
+      deployConfig: { ...project.deployConfig, pushRules: rules }
+    })
+    onClose()
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-dark-800 rounded-xl border border-dark-700 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-dark-700">
+          <h2 className="text-xl font-semibold text-white">Push-to-Deploy Rules</h2>
+          <button
+            onClick={onClose}
+            className="text-dark-400 hover:text-white transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          <p className="text-sm text-dark-400">
+            Pushes to {project.projectName} deploy to the environment of the first rule whose branch matches.
+            Use <span className="font-mono text-dark-300">*</span> to match within a path segment
+            (e.g. <span className="font-mono text-dark-300">release/*</span>).
+          </p>
+
+          <div className="space-y-3">
+            {rules.map((rule, index) => (
+              <div key={index} className="flex items-center space-x-3">
+                <div className="relative flex-1">
+                  <GitBranch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-dark-400 w-4 h-4" />
+                  <input
+                    type="text"
+                    value={rule.branch}
+                    onChange={(e) => updateRule(index, 'branch', e.target.value)}
+                    placeholder="main"
+                    className="w-full bg-dark-900 border border-dark-600 rounded-lg pl-10 pr-4 py-2 text-dark-200 placeholder-dark-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+                <span className="text-dark-500">→</span>
+                <input
+                  type="text"
+                  value={rule.environment}
+                  onChange={(e) => updateRule(index, 'environment', e.target.value)}
+                  placeholder="production"
+                  className="flex-1 bg-dark-900 border border-dark-600 rounded-lg px-4 py-2 text-dark-200 placeholder-dark-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+                <button
+                  type="button"
+                  onClick={() => removeRule(index)}
+                  title="Remove rule"
+                  className="text-dark-400 hover:text-red-400"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+
+            <button
+              type="button"
+              onClick={addRule}
+              className="btn-secondary flex items-center space-x-2 text-sm"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add Rule</span>
+            </button>
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-400">{error}</p>
+          )}
+
+          <div className="bg-dark-900 rounded-lg p-4">
+            <h3 className="text-sm font-medium text-white mb-2">Skipping Deployments</h3>
+            <p className="text-xs text-dark-400">
+              Commits whose message contains {SKIP_MARKERS.map(marker => `"${marker}"`).join(', ')} are not deployed.
+            </p>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-4 border-t border-dark-700">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Rules'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default PushRulesModal
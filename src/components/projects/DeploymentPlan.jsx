@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react'
+import { AlertTriangle, CheckCircle, Loader2, MinusCircle, XCircle } from 'lucide-react'
+import deploymentPipeline, { CLOUD_PROVIDERS } from '../../services/deploymentPipeline'
+
+// Wait for typing to settle before re-planning a draft
+const PLAN_DELAY = 300
+
+const selectClassName = 'bg-dark-900 border border-dark-600 rounded-lg px-2 py-1 text-xs text-dark-200 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+
+// Dry-run preview of what deploying a project would do
+// Pass projectId for a saved project, and/or project for a draft
+const DeploymentPlan = ({ projectId = null, project = null, environment = 'production' }) => {
+  const [provider, setProvider] = useState('vercel')
+  const [plan, setPlan] = useState(null)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+
+    const timer = setTimeout(async () => {
+      try {
+        const result = await deploymentPipeline.planDeployment(projectId, { project, environment, provider })
+        if (!cancelled) {
+          setPlan(result)
+          setError(null)
+        }
+      } catch (planError) {
+        if (!cancelled) setError(planError.message)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }, PLAN_DELAY)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [projectId, project, environment, provider])
+
+  return (
+    <div className="bg-dark-900 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-white flex items-center space-x-2">
+          <span>Deployment Plan</span>
+          {loading && <Loader2 className="w-3 h-3 text-dark-400 animate-spin" />}
+        </h3>
+        <select value={provider} onChange={(e) => setProvider(e.target.value)} className={selectClassName}>
+          {Object.entries(CLOUD_PROVIDERS).map(([id, config]) => (
+            <option key={id} value={id}>{config.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {plan && (
+        <div className="text-xs text-dark-400 space-y-3">
+          {plan.errors.length > 0 && (
+            <ul className="space-y-1">
+              {plan.errors.map((planError, index) => (
+                <li key={index} className="flex items-start space-x-2 text-red-400">
+                  <XCircle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                  <span>{planError.message}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {plan.warnings.length > 0 && (
+            <ul className="space-y-1">
+              {plan.warnings.map((warning, index) => (
+                <li key={index} className="flex items-start space-x-2 text-yellow-400">
+                  <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                  <span>{warning}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="space-y-1">
+            <p><span className="text-dark-300">Provider:</span> {plan.provider.name}{plan.provider.type && ` (${plan.provider.type})`}, {plan.provider.region || 'default region'}</p>
+            <p><span className="text-dark-300">Framework:</span> {plan.framework?.name || 'detected after cloning'}</p>
+            <p><span className="text-dark-300">Strategy:</span> {plan.strategy}</p>
+            {plan.config && (
+              <p><span className="text-dark-300">Build:</span> {plan.config.buildCommand} · <span className="text-dark-300">Start:</span> {plan.config.startCommand}</p>
+            )}
+            <p>
+              <span className="text-dark-300">Rollback:</span>{' '}
+              {plan.rollback.automatic ? plan.rollback.method : 'disabled'}
+              {plan.rollback.automatic && plan.rollback.target && ` (${plan.rollback.target.deploymentId})`}
+            </p>
+          </div>
+
+          <div>
+            <h4 className="text-dark-300 mb-1">Stages</h4>
+            <ol className="grid grid-cols-2 gap-1">
+              {plan.stages.map(step => (
+                <li
+                  key={step.stage}
+                  className={`flex items-center space-x-1 ${step.willRun === false ? 'text-dark-500' : 'text-dark-300'}`}
+                  title={step.willRun === false ? `Skipped: ${step.condition} is false` : undefined}
+                >
+                  {step.willRun === false
+                    ? <MinusCircle className="w-3 h-3 flex-shrink-0" />
+                    : <CheckCircle className="w-3 h-3 flex-shrink-0 text-green-400" />}
+                  <span className="font-mono truncate">{step.stage}</span>
+                </li>
+              ))}
+            </ol>
+          </div>
+
+          {plan.env.length > 0 && (
+            <div>
+              <h4 className="text-dark-300 mb-1">Environment Variables</h4>
+              <ul className="font-mono space-y-0.5">
+                {plan.env.map(variable => (
+                  <li key={variable.name} className="break-all">
+                    {variable.name}={variable.value}{' '}
+                    <span className="text-dark-500">({variable.target}{variable.secret ? ', secret' : ''})</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div>
+            <h4 className="text-dark-300 mb-1">Plan Limits</h4>
+            <ul className="space-y-0.5">
+              {plan.limits.map(limit => (
+                <li key={limit.name} className={limit.ok ? '' : 'text-red-400'}>
+                  {limit.label}: {limit.used ?? '?'} / {limit.limit === -1 ? 'unlimited' : limit.limit}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {plan.dockerfile && (
+            <details>
+              <summary className="text-dark-300 cursor-pointer">Dockerfile</summary>
+              <pre className="mt-2 p-2 bg-dark-800 rounded font-mono text-dark-300 overflow-x-auto">{plan.dockerfile}</pre>
+            </details>
+          )}
+
+          {plan.dockerignore && (
+            <details>
+              <summary className="text-dark-300 cursor-pointer">.dockerignore</summary>
+              <pre className="mt-2 p-2 bg-dark-800 rounded font-mono text-dark-300 overflow-x-auto">{plan.dockerignore}</pre>
+            </details>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DeploymentPlan
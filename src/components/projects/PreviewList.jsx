@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react'
+import { ExternalLink, GitPullRequest } from 'lucide-react'
+import previewDeployments from '../../services/previewDeployments'
+
+const PreviewList = ({ projectId }) => {
+  const [previews, setPreviews] = useState(() => previewDeployments.getPreviews(projectId))
+
+  useEffect(() => {
+    setPreviews(previewDeployments.getPreviews(projectId))
+    previewDeployments.loadPreviews(projectId).catch(error => {
+      console.error('Failed to load previews:', error)
+    })
+
+    return previewDeployments.subscribe((changedProjectId) => {
+      if (changedProjectId === projectId) {
+        setPreviews(previewDeployments.getPreviews(projectId))
+      }
+    })
+  }, [projectId])
+
+  if (previews.length === 0) return null
+
+  return (
+    <div className="mb-4">
+      <h4 className="text-xs font-medium text-dark-400 mb-2">Previews</h4>
+      <ul className="space-y-1">
+        {previews.map(preview => (
+          <li key={preview.number} className="flex items-center justify-between text-xs">
+            <div className="flex items-center space-x-2 min-w-0">
+              <GitPullRequest className="w-3 h-3 text-primary-400 flex-shrink-0" />
+              <span className="text-dark-300">#{preview.number}</span>
+              <span className="font-mono text-dark-500 truncate">{preview.branch}</span>
+            </div>
+            {preview.url ? (
+              <a
+                href={preview.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center space-x-1 text-primary-400 hover:text-primary-300"
+              >
+                <span>Open</span>
+                <ExternalLink className="w-3 h-3" />
+              </a>
+            ) : (
+              <span className="text-dark-500">{preview.status}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default PreviewList
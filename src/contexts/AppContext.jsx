@@ -1,7 +1,57 @@
-import React, { createContext, useContext, useState, useEffect } from 'react'
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react'
+import deploymentPipeline, { DEPLOYMENT_STAGES, getProjectDeployOptions } from '../services/deploymentPipeline'
+import { FREEZE_OVERRIDE_PERMISSION } from '../services/freezePeriods'
+import { useAuth } from './AuthContext'
 
 const AppContext = createContext()
 
+// Pipeline statuses a deployment cannot leave
+const FINISHED_STATUSES = [
+  DEPLOYMENT_STAGES.SUCCESS,
+  DEPLOYMENT_STAGES.FAILED,
+  DEPLOYMENT_STAGES.CANCELLED,
+  DEPLOYMENT_STAGES.SUPERSEDED
+]
+
+// Project status once its deployment finishes, as the pipeline reports it
+const PROJECT_STATUSES = {
+  [DEPLOYMENT_STAGES.SUCCESS]: 'deployed',
+  [DEPLOYMENT_STAGES.CANCELLED]: 'cancelled'
+}
+
+// Deployments list entry for a deployment run (or restored) by the pipeline.
+// Its logs are read from the pipeline, so the entry carries none.
+const toListEntry = (deployment) => {
+  const { options, metadata } = deployment
+  const finished = FINISHED_STATUSES.includes(deployment.status)
+
+  let status = deployment.status
+  if (!finished && deployment.status !== DEPLOYMENT_STAGES.QUEUED) {
+    status = metadata.approval?.status === 'pending' ? 'awaiting_approval' : 'building'
+  }
+
+  return {
+    deploymentId: deployment.deploymentId,
+    projectId: deployment.projectId,
+    commitHash: metadata.commitHash || options.branch || '',
+    status,
+    environment: options.environment,
+    timestamp: new Date(deployment.startTime).toISOString(),
+    requestedBy: options.requestedBy || null,
+    queuePosition: deployment.queuePosition || null,
+    failedStage: deployment.failedStage || null,
+    failureReason: deployment.failureReason || null,
+    resumedFrom: deployment.resumedFrom || null,
+    resumedBy: deployment.resumedBy || [],
+    promotedFrom: deployment.promotedFrom || null,
+    promotedTo: deployment.promotedTo || [],
+    imageTag: metadata.imageTag || null,
+    blueGreen: metadata.blueGreen || null,
+    approval: metadata.approval || null,
+    logs: []
+  }
+}
+
 export const useApp = () => {
   const context = useContext(AppContext)
   if (!context) {
@@ -11,6 +61,7 @@ export const useApp = () => {
 }
 
 export const AppProvider = ({ children }) => {
+  const { user: authUser, hasPermission } = useAuth()
   const [user, setUser] = useState({
     userId: 'user-1',
     email: 'developer@example.com',
@@ -78,6 +129,53 @@ export const AppProvider = ({ children }) => {
     }
   ])
 
+  // deploymentId -> unsubscribe from pipeline updates for a listed deployment
+  const pipelineSubscriptions = useRef(new Map())
+
+  const upsertDeployment = (entry) => {
+    setDeployments(prev => prev.some(d => d.deploymentId === entry.deploymentId)
+      ? prev.map(d => (d.deploymentId === entry.deploymentId ? { ...d, ...entry } : d))
+      : [...prev, entry])
+  }
+
+  // List a pipeline deployment and keep its entry current until it finishes
+  const trackDeployment = (deployment) => {
+    const { deploymentId } = deployment
+    upsertDeployment(toListEntry(deployment))
+    if (pipelineSubscriptions.current.has(deploymentId) || FINISHED_STATUSES.includes(deployment.status)) return
+
+    const unsubscribe = deploymentPipeline.subscribe(deploymentId, (update) => {
+      if (update.log) return
+
+      const current = deploymentPipeline.getDeploymentStatus(deploymentId)
+      upsertDeployment(toListEntry(current))
+      if (FINISHED_STATUSES.includes(current.status)) {
+        unsubscribe()
+        pipelineSubscriptions.current.delete(deploymentId)
+        if (current.status !== DEPLOYMENT_STAGES.SUPERSEDED) {
+          updateProject(current.projectId, { status: PROJECT_STATUSES[current.status] || 'failed' })
+        }
+      }
+    })
+    pipelineSubscriptions.current.set(deploymentId, unsubscribe)
+  }
+
+  // Show the pipeline's deployments, including those restored after a reload
+  useEffect(() => {
+    let active = true
+    deploymentPipeline.rehydrate().then(() => {
+      if (!active) return
+      deploymentPipeline.getDeploymentHistory().forEach(trackDeployment)
+      deploymentPipeline.getActiveDeployments().forEach(trackDeployment)
+    })
+
+    return () => {
+      active = false
+      pipelineSubscriptions.current.forEach(unsubscribe => unsubscribe())
+      pipelineSubscriptions.current.clear()
+    }
+  }, [])
+
   const createProject = (projectData) => {
     const newProject = {
       projectId: `proj-${Date.now()}`,
@@ -91,71 +189,107 @@ export const AppProvider = ({ children }) => {
     return newProject
   }
 
-  const deployProject = (projectId, commitHash = 'latest') => {
-    const deployment = {
-      deploymentId: `dep-${Date.now()}`,
-      projectId,
-      commitHash,
-      status: 'building',
-      timestamp: new Date().toISOString(),
-      logs: 'Starting deployment...\nFetching latest code...'
-    }
-    
-    setDeployments(prev => [...prev, deployment])
-    
-    // Update project status
-    setProjects(prev => prev.map(p => 
-      p.projectId === projectId 
-        ? { ...p, status: 'building', lastDeployment: deployment.timestamp }
-        : p
+  const updateProject = (projectId, updates) => {
+    setProjects(prev => prev.map(p =>
+      p.projectId === projectId ? { ...p, ...updates } : p
     ))
-    
-    // Simulate deployment process
-    setTimeout(() => {
-      const success = Math.random() > 0.3 // 70% success rate
-      const finalStatus = success ? 'success' : 'failed'
-      
-      setDeployments(prev => prev.map(d => 
-        d.deploymentId === deployment.deploymentId
-          ? { 
-              ...d, 
-              status: finalStatus,
-              logs: success 
-                ? 'Build completed successfully\nDeployment to production environment completed'
-                : 'Error: Build failed\nDeployment failed - please check logs'
-            }
-          : d
-      ))
-      
-      setProjects(prev => prev.map(p => 
-        p.projectId === projectId 
-          ? { ...p, status: success ? 'deployed' : 'failed' }
-          : p
-      ))
-    }, 3000)
-    
+  }
+
+  // freezeOverride for the pipeline when the user chose to deploy during a
+  // freeze; the pipeline refuses it without FREEZE_OVERRIDE_PERMISSION
+  const getFreezeOverride = (overrideFreeze) => (overrideFreeze ? { user: authUser, hasPermission } : null)
+
+  // Deploy a project through the pipeline with its saved deploy settings.
+  // During a freeze it rejects with reason 'frozen' unless overrideFreeze.
+  const deployProject = async (projectId, { branch, overrideFreeze = false } = {}) => {
+    const project = projects.find(p => p.projectId === projectId)
+    const deployment = await deploymentPipeline.startDeployment(projectId, {
+      ...getProjectDeployOptions(project),
+      ...(branch && { branch }),
+      requestedBy: user.userId,
+      freezeOverride: getFreezeOverride(overrideFreeze)
+    })
+
+    trackDeployment(deployment)
+    updateProject(projectId, { status: 'building', lastDeployment: new Date(deployment.startTime).toISOString() })
+
     return deployment
   }
 
-  const rollbackDeployment = (projectId) => {
+  // Roll a project back from one of its deployments. A blue-green deployment
+  // whose previous color is still warm switches traffic back to it; otherwise
+  // the previous successful deployment is redeployed. Resolves to null when
+  // there is nothing to roll back to.
+  const rollbackDeployment = async (projectId, deploymentId = null) => {
+    if (deploymentId && deploymentPipeline.canSwitchTrafficBack(deploymentId)) {
+      await deploymentPipeline.switchTrafficBack(deploymentId)
+      upsertDeployment(toListEntry(deploymentPipeline.getDeploymentStatus(deploymentId)))
+      return deploymentPipeline.getDeploymentStatus(deploymentId)
+    }
+
     const projectDeployments = deployments
       .filter(d => d.projectId === projectId && d.status === 'success')
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
     
     if (projectDeployments.length > 1) {
       const previousDeployment = projectDeployments[1]
-      return deployProject(projectId, previousDeployment.commitHash)
+      return deployProject(projectId, { branch: previousDeployment.commitHash })
     }
     return null
   }
 
+  // Retry a failed deployment from the stage that failed, reusing the outputs
+  // of the stages that completed. Rejects if the pipeline cannot resume it.
+  const resumeDeployment = async (deploymentId, { overrideFreeze = false } = {}) => {
+    const deployment = await deploymentPipeline.resumeDeployment(deploymentId, {
+      requestedBy: user.userId,
+      freezeOverride: getFreezeOverride(overrideFreeze)
+    })
+
+    trackDeployment(deployment)
+    upsertDeployment(toListEntry(deploymentPipeline.getDeploymentStatus(deploymentId)))
+
+    return deployment
+  }
+
+  // Ship a successful deployment's build to another environment without
+  // rebuilding. Rejects if the pipeline cannot promote it.
+  const promoteDeployment = async (deploymentId, targetEnvironment, { overrideFreeze = false } = {}) => {
+    const deployment = await deploymentPipeline.promoteDeployment(deploymentId, targetEnvironment, {
+      requestedBy: user.userId,
+      freezeOverride: getFreezeOverride(overrideFreeze)
+    })
+
+    trackDeployment(deployment)
+    upsertDeployment(toListEntry(deploymentPipeline.getDeploymentStatus(deploymentId)))
+
+    return deployment
+  }
+
+  // Record the signed-in user's decision on a deployment waiting in the
+  // approval stage. The pipeline checks the permission and refuses approvals
+  // by the requester or of deployments without one; the list entry follows
+  // through the pipeline subscription.
+  const decideApproval = (deploymentId, approved, comment = null) =>
+    deploymentPipeline.decideApproval(deploymentId, approved, { user: authUser, hasPermission }, comment)
+
+  const approveDeployment = (deploymentId, comment) => decideApproval(deploymentId, true, comment)
+  const rejectDeployment = (deploymentId, comment) => decideApproval(deploymentId, false, comment)
+
   const value = {
     user,
     projects,
     deployments,
     createProject,
+    updateProject,
     deployProject,
     rollbackDeployment,
+    canSwitchTrafficBack: (deploymentId) => deploymentPipeline.canSwitchTrafficBack(deploymentId),
+    resumeDeployment,
+    promoteDeployment,
+    canOverrideFreezes: hasPermission(FREEZE_OVERRIDE_PERMISSION),
+    approveDeployment,
+    rejectDeployment,
     stats: {
       totalProjects: projects.length,
       activeDeployments: deployments.filter(d => d.status === 'building').length,
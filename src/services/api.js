@@ -3,12 +3,19 @@
  * Handles all external API integrations including GitHub, Docker, Cloud Providers, and Stripe
  */
 
+import { NetworkError } from '../utils/errorHandler'
+import { secretRegistry } from '../utils/redaction'
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api'
 
+// HTTP statuses below 500 that still indicate a transient failure
+const RETRYABLE_STATUSES = [408, 429]
+
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL
     this.token = localStorage.getItem('auth_token')
+    secretRegistry.register(this.token)
   }
 
   // Generic HTTP request method
@@ -23,12 +30,33 @@ class ApiService {
       ...options,
     }
 
+    let response
+    try {
+      response = await fetch(url, config)
+    } catch (error) {
+      // Aborted requests (options.signal) are cancellations, not network failures
+      if (error.name === 'AbortError' || options.signal?.aborted) {
+        throw options.signal?.reason || error
+      }
+      console.error(`API request failed: ${endpoint}`, error)
+      throw new NetworkError(`Network request failed: ${error.message}`, null, endpoint)
+    }
+
     try {
-      const response = await fetch(url, config)
-      
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}))
-        throw new Error(errorData.message || `HTTP error! status: ${response.status}`)
+        const message = errorData.message || `HTTP error! status: ${response.status}`
+
+        // Server-side and throttling failures are network-class (retryable);
+        // other 4xx responses stay plain errors carrying their status
+        if (response.status >= 500 || RETRYABLE_STATUSES.includes(response.status)) {
+          throw new NetworkError(message, response.status, endpoint)
+        }
+
+        const error = new Error(message)
+        error.status = response.status
+        error.endpoint = endpoint
+        throw error
       }
 
       return await response.json()
@@ -47,6 +75,7 @@ class ApiService {
     
     if (response.token) {
       this.token = response.token
+      secretRegistry.register(response.token)
       localStorage.setItem('auth_token', response.token)
     }
     
@@ -75,20 +104,26 @@ class ApiService {
     return this.request('/github/repos')
   }
 
+  // The app user who connected this GitHub account; 404 when nobody has
+  async getUserByGitHubLogin(login) {
+    return this.request(`/github/users/${encodeURIComponent(login)}`)
+  }
+
   async getRepoDetails(owner, repo) {
     return this.request(`/github/repos/${owner}/${repo}`)
   }
 
-  async createWebhook(owner, repo, webhookUrl) {
+  async createWebhook(owner, repo, webhookUrl, secret = null) {
     return this.request(`/github/repos/${owner}/${repo}/hooks`, {
       method: 'POST',
       body: JSON.stringify({
         name: 'web',
         active: true,
-        events: ['push', 'pull_request'],
+        events: ['push', 'pull_request', 'release'],
         config: {
           url: webhookUrl,
           content_type: 'json',
+          ...(secret && { secret }),
         },
       }),
     })
@@ -119,6 +154,25 @@ class ApiService {
     })
   }
 
+  // Environment variables per project environment. Secret values are
+  // write-only: they are returned with value null.
+  async getEnvironmentVariables(projectId, environment) {
+    return this.request(`/projects/${projectId}/environments/${encodeURIComponent(environment)}/variables`)
+  }
+
+  async setEnvironmentVariable(projectId, environment, { name, ...variable }) {
+    return this.request(`/projects/${projectId}/environments/${encodeURIComponent(environment)}/variables/${name}`, {
+      method: 'PUT',
+      body: JSON.stringify(variable),
+    })
+  }
+
+  async deleteEnvironmentVariable(projectId, environment, name) {
+    return this.request(`/projects/${projectId}/environments/${encodeURIComponent(environment)}/variables/${name}`, {
+      method: 'DELETE',
+    })
+  }
+
   // Deployment management
   async getDeployments(projectId = null) {
     const endpoint = projectId ? `/deployments?projectId=${projectId}` : '/deployments'
@@ -143,6 +197,56 @@ class ApiService {
     })
   }
 
+  // Deploy freeze periods
+  async getFreezes() {
+    return this.request('/freezes')
+  }
+
+  async createFreeze(freeze) {
+    return this.request('/freezes', {
+      method: 'POST',
+      body: JSON.stringify(freeze),
+    })
+  }
+
+  async deleteFreeze(freezeId) {
+    return this.request(`/freezes/${freezeId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  // Scheduled deployments. Claiming and cancelling are atomic: only one
+  // client gets a job, and a claimed job can no longer be cancelled (409).
+  async getSchedules() {
+    return this.request('/schedules')
+  }
+
+  async createSchedule(job) {
+    return this.request('/schedules', {
+      method: 'POST',
+      body: JSON.stringify(job),
+    })
+  }
+
+  async updateSchedule(scheduleId, updates) {
+    return this.request(`/schedules/${scheduleId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    })
+  }
+
+  async claimSchedule(scheduleId) {
+    return this.request(`/schedules/${scheduleId}/claim`, {
+      method: 'POST',
+    })
+  }
+
+  async cancelSchedule(scheduleId) {
+    return this.request(`/schedules/${scheduleId}/cancel`, {
+      method: 'POST',
+    })
+  }
+
   // Health checks and monitoring
   async getProjectHealth(projectId) {
     return this.request(`/projects/${projectId}/health`)
@@ -175,6 +279,12 @@ class ApiService {
     })
   }
 
+  async deleteEnvironment(projectId, environment) {
+    return this.request(`/projects/${projectId}/environments/${encodeURIComponent(environment)}`, {
+      method: 'DELETE',
+    })
+  }
+
   // Container registry operations
   async pushToRegistry(imageData) {
     return this.request('/registry/push', {
@@ -247,6 +357,10 @@ class ApiService {
     })
   }
 
+  async getWebhookSecret(projectId) {
+    return this.request(`/projects/${projectId}/webhook-secret`)
+  }
+
   async testWebhook(webhookUrl, payload) {
     return this.request('/webhooks/test', {
       method: 'POST',
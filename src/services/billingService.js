@@ -17,6 +17,7 @@ export const SUBSCRIPTION_PLANS = {
       projects: 3,
       deploymentsPerDay: 5,
       deploymentsPerMonth: 50,
+      concurrentDeployments: 1,
       storage: '1GB',
       support: 'Community',
       customDomains: 0,
@@ -34,6 +35,7 @@ export const SUBSCRIPTION_PLANS = {
       projects: 3,
       deploymentsPerDay: 5,
       deploymentsPerMonth: 50,
+      concurrentDeployments: 1,
       storageGB: 1,
       customDomains: 0,
       teamMembers: 1,
@@ -53,6 +55,7 @@ export const SUBSCRIPTION_PLANS = {
       projects: 25,
       deploymentsPerDay: 50,
       deploymentsPerMonth: 1000,
+      concurrentDeployments: 3,
       storage: '50GB',
       support: 'Email',
       customDomains: 10,
@@ -70,6 +73,7 @@ export const SUBSCRIPTION_PLANS = {
       projects: 25,
       deploymentsPerDay: 50,
       deploymentsPerMonth: 1000,
+      concurrentDeployments: 3,
       storageGB: 50,
       customDomains: 10,
       teamMembers: 5,
@@ -89,6 +93,7 @@ export const SUBSCRIPTION_PLANS = {
       projects: 'Unlimited',
       deploymentsPerDay: 'Unlimited',
       deploymentsPerMonth: 'Unlimited',
+      concurrentDeployments: 10,
       storage: '500GB',
       support: '24/7 Priority',
       customDomains: 'Unlimited',
@@ -106,6 +111,7 @@ export const SUBSCRIPTION_PLANS = {
       projects: -1, // Unlimited
       deploymentsPerDay: -1,
       deploymentsPerMonth: -1,
+      concurrentDeployments: 10,
       storageGB: 500,
       customDomains: -1,
       teamMembers: 25,
@@ -0,0 +1,92 @@
+/**
+ * Dependency and Build Cache
+ * Computes cache keys for the INSTALLING and BUILDING stages and talks to the
+ * artifact cache so unchanged dependencies and builds can be restored
+ */
+
+import apiService from './api'
+
+// Lockfiles looked up in the repository root, in priority order
+export const LOCKFILES = [
+  'package-lock.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'poetry.lock',
+  'Pipfile.lock',
+  'requirements.txt'
+]
+
+// SHA-256 hex digest of a string
+export const hashContent = async (content) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content))
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+class BuildCache {
+  constructor() {
+    // Hit/miss counters per project, used for hit rates
+    this.stats = new Map()
+  }
+
+  // Cache key for a stage; parts must be JSON-serializable
+  computeKey(stage, parts) {
+    return hashContent(JSON.stringify({ stage, ...parts }))
+  }
+
+  // Restore a cached stage output into the deployment workspace
+  // Resolves to { hit, artifacts }
+  async restore(projectId, stage, key, deploymentId, { signal } = {}) {
+    return apiService.request('/cache/restore', {
+      method: 'POST',
+      body: JSON.stringify({ projectId, stage, key, deploymentId }),
+      signal
+    })
+  }
+
+  // Save a stage's output from the deployment workspace under the key
+  async store(projectId, stage, key, deploymentId, { artifacts, signal } = {}) {
+    return apiService.request('/cache/store', {
+      method: 'POST',
+      body: JSON.stringify({ projectId, stage, key, deploymentId, artifacts }),
+      signal
+    })
+  }
+
+  recordResult(projectId, stage, hit) {
+    const stats = this.stats.get(projectId) || { hits: 0, misses: 0, stages: {} }
+    const stageStats = stats.stages[stage] || { hits: 0, misses: 0 }
+
+    if (hit) {
+      stats.hits++
+      stageStats.hits++
+    } else {
+      stats.misses++
+      stageStats.misses++
+    }
+
+    stats.stages[stage] = stageStats
+    this.stats.set(projectId, stats)
+  }
+
+  // Fraction of cache lookups that hit for a project (null before any lookup)
+  getHitRate(projectId, stage = null) {
+    const stats = this.stats.get(projectId)
+    const counts = stage ? stats?.stages[stage] : stats
+    if (!counts || counts.hits + counts.misses === 0) return null
+
+    return counts.hits / (counts.hits + counts.misses)
+  }
+
+  // Drop all cached dependencies and builds for a project
+  async clear(projectId) {
+    await apiService.request(`/cache/${projectId}`, { method: 'DELETE' })
+    this.stats.delete(projectId)
+  }
+}
+
+// Create singleton instance
+const buildCache = new BuildCache()
+
+export default buildCache
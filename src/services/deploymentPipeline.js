@@ -6,10 +6,21 @@
 
 import apiService from './api'
 import healthMonitor from './healthMonitor'
-import errorHandler, { DeploymentError } from '../utils/errorHandler'
+import billingService from './billingService'
+import errorHandler, { AuthenticationError, DeploymentError, DeploymentFailureReasons, ValidationError } from '../utils/errorHandler'
+import { StageRegistry, normalizePipeline, evaluateCondition } from './pipelineDefinition'
+import { REPO_CONFIG_FILES, parseRepoConfig } from './repoConfig'
+import { createDeploymentStore, snapshotDeployment } from './deploymentStore'
+import buildCache, { LOCKFILES, hashContent } from './buildCache'
+import freezeCalendar, { FREEZE_OVERRIDE_PERMISSION } from './freezePeriods'
+import logStream from './logStream'
+import { classifyError, resolveRetryPolicy, shouldRetry, getRetryDelay, wait } from './retryPolicy'
+import { redact, secretRegistry } from '../utils/redaction'
+import { generateContainerFiles, resolveContainerSpec, detectPackageManager } from './dockerfileGenerator'
 
 // Deployment stages
 export const DEPLOYMENT_STAGES = {
+  QUEUED: 'queued',
   INITIALIZING: 'initializing',
   CLONING: 'cloning',
   ANALYZING: 'analyzing',
@@ -20,8 +31,12 @@ export const DEPLOYMENT_STAGES = {
   PUSHING: 'pushing',
   DEPLOYING: 'deploying',
   HEALTH_CHECK: 'health_check',
+  SWITCHING_TRAFFIC: 'switching_traffic',
+  APPROVAL: 'approval',
   SUCCESS: 'success',
   FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  SUPERSEDED: 'superseded',
   ROLLING_BACK: 'rolling_back'
 }
 
@@ -30,55 +45,91 @@ export const FRAMEWORK_CONFIGS = {
   react: {
     name: 'React',
     buildCommand: 'npm run build',
+    installCommand: 'npm install',
     startCommand: 'npm start',
     testCommand: 'npm test',
     outputDir: 'build',
     port: 3000,
     healthEndpoint: '/health',
-    dockerfile: 'FROM node:18-alpine\nWORKDIR /app\nCOPY package*.json ./\nRUN npm ci --only=production\nCOPY . .\nRUN npm run build\nEXPOSE 3000\nCMD ["npm", "start"]'
+    runtime: 'node',
+    static: true
   },
   nextjs: {
     name: 'Next.js',
     buildCommand: 'npm run build',
+    installCommand: 'npm install',
     startCommand: 'npm start',
     testCommand: 'npm test',
     outputDir: '.next',
     port: 3000,
     healthEndpoint: '/api/health',
-    dockerfile: 'FROM node:18-alpine\nWORKDIR /app\nCOPY package*.json ./\nRUN npm ci --only=production\nCOPY . .\nRUN npm run build\nEXPOSE 3000\nCMD ["npm", "start"]'
+    runtime: 'node',
+    static: false
   },
   vue: {
     name: 'Vue.js',
     buildCommand: 'npm run build',
+    installCommand: 'npm install',
     startCommand: 'npm run serve',
     testCommand: 'npm test',
     outputDir: 'dist',
     port: 8080,
     healthEndpoint: '/health',
-    dockerfile: 'FROM node:18-alpine\nWORKDIR /app\nCOPY package*.json ./\nRUN npm ci --only=production\nCOPY . .\nRUN npm run build\nEXPOSE 8080\nCMD ["npm", "run", "serve"]'
+    runtime: 'node',
+    static: true
   },
   nodejs: {
     name: 'Node.js',
     buildCommand: 'npm install',
+    installCommand: 'npm install',
     startCommand: 'npm start',
     testCommand: 'npm test',
     outputDir: null,
     port: 3000,
     healthEndpoint: '/health',
-    dockerfile: 'FROM node:18-alpine\nWORKDIR /app\nCOPY package*.json ./\nRUN npm ci --only=production\nCOPY . .\nEXPOSE 3000\nCMD ["npm", "start"]'
+    runtime: 'node',
+    static: false
   },
   python: {
     name: 'Python',
     buildCommand: 'pip install -r requirements.txt',
+    installCommand: 'pip install -r requirements.txt',
     startCommand: 'python app.py',
     testCommand: 'python -m pytest',
     outputDir: null,
     port: 5000,
     healthEndpoint: '/health',
-    dockerfile: 'FROM python:3.11-slim\nWORKDIR /app\nCOPY requirements.txt .\nRUN pip install -r requirements.txt\nCOPY . .\nEXPOSE 5000\nCMD ["python", "app.py"]'
+    runtime: 'python',
+    static: false
   }
 }
 
+// Settings the analysis may report for the repository; they refine the
+// framework defaults used to generate the Dockerfile
+const DETECTED_SETTINGS = ['packageManager', 'nodeVersion', 'pythonVersion', 'outputDir', 'static']
+
+// Settings a project's deployConfig may override in the framework config.
+// Its other keys (framework, pipeline, pushRules, approvals, ...) configure
+// the pipeline and stay out of the build config and cache keys.
+const BUILD_SETTINGS = [
+  'installCommand',
+  'buildCommand',
+  'startCommand',
+  'testCommand',
+  'outputDir',
+  'port',
+  'healthEndpoint',
+  'packageManager',
+  'nodeVersion',
+  'pythonVersion',
+  'static',
+  'dockerfile'
+]
+
+// The build settings saved in a project's deployConfig
+const pickBuildSettings = (deployConfig) =>
+  Object.fromEntries(BUILD_SETTINGS.filter(key => deployConfig?.[key] !== undefined).map(key => [key, deployConfig[key]]))
+
 // Cloud provider configurations
 export const CLOUD_PROVIDERS = {
   vercel: {
@@ -113,24 +164,439 @@ export const CLOUD_PROVIDERS = {
   }
 }
 
+// Default timeouts; override per stage with options.stageTimeouts or a
+// pipeline entry's timeout, and for the whole run with options.deploymentTimeout
+export const DEFAULT_STAGE_TIMEOUT = 10 * 60 * 1000 // 10 minutes
+export const DEFAULT_DEPLOYMENT_TIMEOUT = 60 * 60 * 1000 // 1 hour
+
+// Rollout strategies for the DEPLOYING stage (deployment.options.strategy)
+// blue_green deploys the idle color next to the live one and only switches
+// traffic after the health and smoke checks pass against it; canary runs the
+// new version next to the stable one and shifts traffic in gated steps;
+// rolling replaces a container provider's instances in health-checked batches
+export const DEPLOYMENT_STRATEGIES = {
+  IN_PLACE: 'in_place',
+  BLUE_GREEN: 'blue_green',
+  CANARY: 'canary',
+  ROLLING: 'rolling'
+}
+
+// Canary defaults; override with options.canary. Each step's traffic weight
+// is held for `interval` before the canary's health metrics are compared
+// with the stable version's
+export const DEFAULT_CANARY_SETTINGS = {
+  steps: [5, 25, 50, 100],
+  interval: 60 * 1000, // 1 minute
+  maxErrorRateIncrease: 0.05,
+  maxResponseTimeRatio: 1.5
+}
+
+// How long the previous color stays warm after a blue-green switch
+// (override with options.warmWindow); rolling back within it is a traffic flip
+export const DEFAULT_WARM_WINDOW = 30 * 60 * 1000 // 30 minutes
+
+// Rolling update defaults; override with options.rolling. A batch may
+// replace at most maxSurge + maxUnavailable instances at once, and each new
+// instance must report healthy within healthTimeout
+export const DEFAULT_ROLLING_SETTINGS = {
+  batchSize: 1,
+  maxSurge: 1,
+  maxUnavailable: 0,
+  healthTimeout: 2 * 60 * 1000, // 2 minutes
+  healthCheckInterval: 5000
+}
+
+// Approval gate defaults; override with options.approval, or per environment
+// with the project's deployConfig.approvals. The APPROVAL stage waits until
+// someone holding `permission` approves, and rejects the deployment itself
+// once `timeout` passes without a decision
+export const DEFAULT_APPROVAL_SETTINGS = {
+  permission: 'deployments:approve',
+  timeout: 24 * 60 * 60 * 1000 // 24 hours
+}
+
+// Where a project environment variable is injected: into the build, into
+// the running application, or both
+export const VARIABLE_TARGETS = {
+  BUILD: 'build',
+  RUNTIME: 'runtime',
+  BOTH: 'both'
+}
+
+// Statuses a deployment cannot leave
+const TERMINAL_STATUSES = [
+  DEPLOYMENT_STAGES.SUCCESS,
+  DEPLOYMENT_STAGES.FAILED,
+  DEPLOYMENT_STAGES.CANCELLED,
+  DEPLOYMENT_STAGES.SUPERSEDED
+]
+
+// Stages whose outputs a resumed deployment can reuse
+const REUSABLE_STAGES = [
+  DEPLOYMENT_STAGES.CLONING,
+  DEPLOYMENT_STAGES.ANALYZING,
+  DEPLOYMENT_STAGES.INSTALLING,
+  DEPLOYMENT_STAGES.TESTING,
+  DEPLOYMENT_STAGES.BUILDING,
+  DEPLOYMENT_STAGES.CONTAINERIZING,
+  DEPLOYMENT_STAGES.PUSHING
+]
+
+// Persistence: logs are flushed in batches, finished deployments beyond
+// the limit are pruned on startup
+const LOG_PERSIST_INTERVAL = 1000
+const MAX_PERSISTED_HISTORY = 100
+
+// How often re-attached deployments poll the server for progress
+const STATUS_POLL_INTERVAL = 5000
+
+// Default pipeline used when a project does not define its own
+// INITIALIZING always runs first and is not part of the definition.
+// TESTING and BUILDING only depend on INSTALLING, so they run in parallel.
+// APPROVAL is skipped unless the deployment requires sign-off.
+export const DEFAULT_PIPELINE = {
+  stages: [
+    { stage: DEPLOYMENT_STAGES.CLONING, dependsOn: [] },
+    { stage: DEPLOYMENT_STAGES.ANALYZING, dependsOn: [DEPLOYMENT_STAGES.CLONING] },
+    { stage: DEPLOYMENT_STAGES.INSTALLING, dependsOn: [DEPLOYMENT_STAGES.ANALYZING] },
+    { stage: DEPLOYMENT_STAGES.TESTING, dependsOn: [DEPLOYMENT_STAGES.INSTALLING] },
+    { stage: DEPLOYMENT_STAGES.BUILDING, dependsOn: [DEPLOYMENT_STAGES.INSTALLING] },
+    { stage: DEPLOYMENT_STAGES.CONTAINERIZING, dependsOn: [DEPLOYMENT_STAGES.BUILDING] },
+    { stage: DEPLOYMENT_STAGES.PUSHING, dependsOn: [DEPLOYMENT_STAGES.CONTAINERIZING] },
+    {
+      stage: DEPLOYMENT_STAGES.APPROVAL,
+      dependsOn: [DEPLOYMENT_STAGES.TESTING, DEPLOYMENT_STAGES.BUILDING, DEPLOYMENT_STAGES.PUSHING]
+    },
+    { stage: DEPLOYMENT_STAGES.DEPLOYING, dependsOn: [DEPLOYMENT_STAGES.APPROVAL] },
+    { stage: DEPLOYMENT_STAGES.HEALTH_CHECK, dependsOn: [DEPLOYMENT_STAGES.DEPLOYING] },
+    { stage: DEPLOYMENT_STAGES.SWITCHING_TRAFFIC, dependsOn: [DEPLOYMENT_STAGES.HEALTH_CHECK] }
+  ]
+}
+
+// Pipeline for promotions: the source deployment's build is reused, so only
+// the release stages run against the target environment (APPROVAL and
+// SWITCHING_TRAFFIC are skipped unless the target requires them)
+export const PROMOTION_PIPELINE = {
+  stages: [
+    { stage: DEPLOYMENT_STAGES.APPROVAL, dependsOn: [] },
+    { stage: DEPLOYMENT_STAGES.DEPLOYING, dependsOn: [DEPLOYMENT_STAGES.APPROVAL] },
+    { stage: DEPLOYMENT_STAGES.HEALTH_CHECK, dependsOn: [DEPLOYMENT_STAGES.DEPLOYING] },
+    { stage: DEPLOYMENT_STAGES.SWITCHING_TRAFFIC, dependsOn: [DEPLOYMENT_STAGES.HEALTH_CHECK] }
+  ]
+}
+
+// Shown in place of environment variable values in deployment plans
+const MASKED_VALUE = '••••••••'
+
+// The provider, region and strategy saved in a project's deployConfig, as
+// startDeployment options. Automatic triggers (webhooks, schedules, variable
+// redeploys) start deployments with these instead of the defaults.
+export const getProjectDeployOptions = (project) => {
+  const { provider, region, strategy } = project?.deployConfig || {}
+  return {
+    ...(provider && { provider }),
+    ...(region && { region }),
+    ...(strategy && { strategy })
+  }
+}
+
+// FRAMEWORK_CONFIGS key for a saved framework, which may be the key itself
+// or its display name ('Next.js')
+const resolveFrameworkKey = (framework) => {
+  if (!framework) return null
+  const name = String(framework).toLowerCase()
+  return Object.keys(FRAMEWORK_CONFIGS).find(key =>
+    key === name || FRAMEWORK_CONFIGS[key].name.toLowerCase() === name
+  ) || null
+}
+
+// Log line and error message for a rejected approval
+const describeRejection = ({ decidedBy, comment }) =>
+  `Deployment rejected ${decidedBy ? `by ${decidedBy.name}` : 'automatically'}${comment ? `: ${comment}` : ''}`
+
 class DeploymentPipeline {
   constructor() {
     this.activeDeployments = new Map()
     this.deploymentHistory = new Map()
     this.subscribers = new Map()
+    this.stageRegistry = new StageRegistry()
+
+    // Cancellation: one controller per deployment, plus the signal of the
+    // stage graph currently running (also aborted when a sibling stage fails)
+    this.abortControllers = new Map()
+    this.stageSignals = new Map()
+    this.pipelineRuns = new Map()
+
+    // Deployments waiting to start, in arrival order. At most
+    // perEnvironment deployments run per project/environment, and the
+    // plan's concurrentDeployments limit caps the whole account.
+    this.queue = []
+    this.queueSettings = {
+      perEnvironment: 1,
+      supersede: false
+    }
+
+    // Snapshots survive page reloads; deployments that were running when
+    // the page unloaded are followed by polling the server
+    this.store = createDeploymentStore()
+    this.pendingPersists = new Map()
+    this.statusPollers = new Map()
+    this.rehydration = null
+
+    // deploymentId -> unsubscribe from the server's live log stream
+    this.logStreams = new Map()
+
+    // deploymentId -> settle(decision) for deployments waiting in APPROVAL
+    this.pendingApprovals = new Map()
+
+    // Named conditions usable in a pipeline definition's `when`
+    this.conditions = {
+      runTests: deployment => deployment.options.runTests,
+      requiresContainerization: deployment => this.requiresContainerization(deployment),
+      shiftsTraffic: deployment => [DEPLOYMENT_STRATEGIES.BLUE_GREEN, DEPLOYMENT_STRATEGIES.CANARY]
+        .includes(deployment.options.strategy),
+      requiresApproval: deployment => Boolean(deployment.approvalSettings)
+    }
+
+    this.registerBuiltInStages()
+  }
+
+  // Register the built-in stages with the stage registry
+  registerBuiltInStages() {
+    const builtIns = {
+      [DEPLOYMENT_STAGES.CLONING]: { run: (d, step, signal) => this.cloneRepository(d, signal) },
+      [DEPLOYMENT_STAGES.ANALYZING]: { run: (d, step, signal) => this.analyzeProject(d, signal) },
+      [DEPLOYMENT_STAGES.INSTALLING]: { run: (d, step, signal) => this.installDependencies(d, step, signal) },
+      [DEPLOYMENT_STAGES.TESTING]: { run: (d, step, signal) => this.runTests(d, step, signal), when: 'runTests' },
+      [DEPLOYMENT_STAGES.BUILDING]: { run: (d, step, signal) => this.buildApplication(d, step, signal) },
+      [DEPLOYMENT_STAGES.CONTAINERIZING]: { run: (d, step, signal) => this.containerizeApplication(d, signal), when: 'requiresContainerization' },
+      [DEPLOYMENT_STAGES.PUSHING]: { run: (d, step, signal) => this.pushToRegistry(d, signal), when: 'requiresContainerization' },
+      [DEPLOYMENT_STAGES.DEPLOYING]: { run: (d, step, signal) => this.deployToProvider(d, signal) },
+      [DEPLOYMENT_STAGES.HEALTH_CHECK]: { run: (d, step, signal) => this.performHealthCheck(d, signal) },
+      [DEPLOYMENT_STAGES.SWITCHING_TRAFFIC]: { run: (d, step, signal) => this.switchTraffic(d, signal), when: 'shiftsTraffic' },
+      // The approval timeout is enforced by the stage itself and ends in a rejection
+      [DEPLOYMENT_STAGES.APPROVAL]: {
+        run: (d, step, signal) => this.awaitApproval(d, signal),
+        when: 'requiresApproval',
+        retry: { maxAttempts: 1 },
+        timeout: Infinity,
+        ignoreDeadline: true
+      }
+    }
+
+    Object.entries(builtIns).forEach(([name, definition]) => {
+      this.stageRegistry.register(name, { ...definition, builtIn: true })
+    })
+  }
+
+  // Register a custom stage that pipeline definitions can reference by name
+  // run(deployment, step, signal) gets the stage's abort signal, which fires
+  // on cancellation and when the stage times out
+  registerStage(name, definition) {
+    return this.stageRegistry.register(name, definition)
+  }
+
+  // Register a named condition that pipeline definitions can reference in `when`
+  registerCondition(name, predicate) {
+    this.conditions[name] = predicate
+  }
+
+  // Resolve the pipeline steps for a deployment from its project's deployConfig
+  // Promotions always use PROMOTION_PIPELINE
+  resolvePipeline(deployment) {
+    const definition = deployment.promotedFrom
+      ? PROMOTION_PIPELINE
+      : deployment.project?.deployConfig?.pipeline || DEFAULT_PIPELINE
+    return normalizePipeline(definition, this.stageRegistry)
   }
 
   // Start a new deployment
-  async startDeployment(projectId, options = {}) {
+  // options.requestedBy is the userId of the app user who asked for it;
+  // approval gates refuse deployments without one.
+  // During a freeze period the deployment is refused unless
+  // options.freezeOverride ({ user, hasPermission } from AuthContext) holds
+  // the override permission; the override is recorded in metadata
+  async startDeployment(projectId, { freezeOverride = null, ...options } = {}) {
+    const deployment = this.createDeployment(projectId, options)
+    return this.admitDeployment(deployment, freezeOverride)
+  }
+
+  // Ship the build of a successful deployment to another environment without
+  // rebuilding: the new deployment reuses its imageTag and buildArtifacts and
+  // runs only the release stages. Freezes apply as for startDeployment, and
+  // requestedBy records who promoted it.
+  async promoteDeployment(deploymentId, targetEnvironment, { freezeOverride = null, requestedBy = null } = {}) {
+    const source = this.deploymentHistory.get(deploymentId)
+    if (!source) throw new Error('Deployment not found or still running')
+    if (source.status !== DEPLOYMENT_STAGES.SUCCESS) {
+      throw new Error('Only successful deployments can be promoted')
+    }
+    if (!targetEnvironment || targetEnvironment === source.options.environment) {
+      throw new ValidationError(
+        `Target environment must differ from ${source.options.environment}`,
+        'targetEnvironment',
+        targetEnvironment
+      )
+    }
+
+    const { imageTag, buildArtifacts, commitHash } = source.metadata
+    if (!imageTag && !(buildArtifacts?.length > 0)) {
+      throw new Error(`Deployment ${deploymentId} has no image or build artifacts to promote`)
+    }
+
+    // Per-deployment approval and preview settings belong to the source environment
+    const deployment = this.createDeployment(source.projectId, {
+      ...source.options,
+      environment: targetEnvironment,
+      requestedBy,
+      approval: undefined,
+      preview: undefined,
+      trigger: { type: 'promotion', sourceDeploymentId: deploymentId, commit: { sha: commitHash } }
+    })
+    deployment.promotedFrom = deploymentId
+    deployment.framework = source.framework
+    deployment.detectedSettings = source.detectedSettings
+    deployment.repoConfigSource = source.repoConfigSource
+    deployment.metadata = {
+      ...deployment.metadata,
+      commitHash,
+      imageTag,
+      buildArtifacts,
+      configFile: source.metadata.configFile,
+      promotion: {
+        sourceDeploymentId: deploymentId,
+        sourceEnvironment: source.options.environment,
+        // First deployment that built these outputs, across chained promotions
+        originDeploymentId: source.metadata.promotion?.originDeploymentId || deploymentId,
+        commitHash,
+        imageTag,
+        buildArtifacts
+      }
+    }
+
+    await this.admitDeployment(
+      deployment,
+      freezeOverride,
+      `Promoting ${deploymentId} from ${source.options.environment} to ${targetEnvironment}` +
+        (imageTag ? ` (image ${imageTag})` : '')
+    )
+
+    source.promotedTo = [...(source.promotedTo || []), deployment.deploymentId]
+    this.persistDeployment(deploymentId)
+
+    return deployment
+  }
+
+  // Register a new deployment and queue it, unless a freeze forbids it
+  // An optional message is logged before the deployment is queued
+  async admitDeployment(deployment, freezeOverride, message = null) {
+    const { projectId } = deployment
+    const freeze = await freezeCalendar.findFreeze(projectId, deployment.options.environment)
+    if (freeze) {
+      deployment.metadata.freezeOverride = this.overrideFreeze(deployment, freeze, freezeOverride)
+    }
+
+    this.activeDeployments.set(deployment.deploymentId, deployment)
+    this.abortControllers.set(deployment.deploymentId, new AbortController())
+
+    if (message) {
+      this.addLog(deployment.deploymentId, message)
+    }
+
+    const override = deployment.metadata.freezeOverride
+    if (override) {
+      this.addLog(
+        deployment.deploymentId,
+        `Deploying during a freeze (until ${new Date(override.until).toISOString()}) on override by ${override.by.name}`,
+        'warning'
+      )
+    }
+
+    this.enqueueDeployment(deployment)
+
+    return deployment
+  }
+
+  // Check an admin override for a freeze, resolving to the override record
+  overrideFreeze(deployment, freeze, override) {
+    const until = new Date(freeze.end).toISOString()
+
+    if (!override?.user || !override.hasPermission(FREEZE_OVERRIDE_PERMISSION)) {
+      throw new DeploymentError(
+        `Deployments to ${deployment.options.environment} are frozen until ${until}${freeze.reason ? ` (${freeze.reason})` : ''}`,
+        deployment.projectId,
+        null,
+        null,
+        DeploymentFailureReasons.FROZEN
+      )
+    }
+
+    const { user } = override
+    return {
+      freezeId: freeze.freezeId,
+      reason: freeze.reason,
+      until: freeze.end,
+      by: { userId: user.userId || user.id, name: user.name || user.email },
+      at: Date.now()
+    }
+  }
+
+  // Start a new attempt of a failed deployment at its failed stage, reusing
+  // the outputs of the build stages that completed (commit, artifacts, image)
+  // A failed promotion is resumed as a promotion of the same build.
+  // Freezes apply as for startDeployment, and requestedBy records who
+  // resumed it.
+  async resumeDeployment(deploymentId, { freezeOverride = null, requestedBy = null } = {}) {
+    const original = this.deploymentHistory.get(deploymentId)
+    if (!original) throw new Error('Deployment not found or still running')
+    if (original.status !== DEPLOYMENT_STAGES.FAILED || !original.failedStage) {
+      throw new Error('Only deployments that failed in a stage can be resumed')
+    }
+
+    const deployment = this.createDeployment(original.projectId, { ...original.options, requestedBy })
+    deployment.resumedFrom = deploymentId
+    deployment.promotedFrom = original.promotedFrom
+    deployment.reusedStages = REUSABLE_STAGES.filter(stage => original.stages[stage]?.status === 'success')
+
+    // State the reused stages would otherwise have produced
+    deployment.framework = original.framework
+    deployment.frameworkConfig = original.frameworkConfig
+    deployment.detectedSettings = original.detectedSettings
+    deployment.repoConfigSource = original.repoConfigSource
+    deployment.metadata = {
+      ...deployment.metadata,
+      commitHash: original.metadata.commitHash,
+      buildArtifacts: original.metadata.buildArtifacts,
+      imageTag: original.metadata.imageTag,
+      configFile: original.metadata.configFile,
+      lockfile: original.metadata.lockfile,
+      lockfileHash: original.metadata.lockfileHash,
+      promotion: original.metadata.promotion
+    }
+
+    await this.admitDeployment(deployment, freezeOverride, `Resuming ${deploymentId} from stage ${original.failedStage}`)
+
+    original.resumedBy = [...(original.resumedBy || []), deployment.deploymentId]
+    this.persistDeployment(deploymentId)
+
+    return deployment
+  }
+
+  // Build the record for a new, queued deployment
+  // options.trigger describes what started an automatic deployment (webhook
+  // event, matching rule, commit) and is recorded in metadata
+  createDeployment(projectId, { trigger = null, ...options }) {
     const deploymentId = `dep-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-    
-    const deployment = {
+
+    return {
       deploymentId,
       projectId,
-      status: DEPLOYMENT_STAGES.INITIALIZING,
+      status: DEPLOYMENT_STAGES.QUEUED,
+      queuedAt: Date.now(),
+      queuePosition: null,
       startTime: Date.now(),
       endTime: null,
-      currentStage: DEPLOYMENT_STAGES.INITIALIZING,
+      currentStage: DEPLOYMENT_STAGES.QUEUED,
       stages: {},
       logs: [],
       options: {
@@ -139,6 +605,7 @@ class DeploymentPipeline {
         provider: options.provider || 'vercel',
         region: options.region,
         autoRollback: options.autoRollback !== false,
+        strategy: options.strategy || DEPLOYMENT_STRATEGIES.IN_PLACE,
         runTests: options.runTests !== false,
         ...options
       },
@@ -146,18 +613,405 @@ class DeploymentPipeline {
         commitHash: null,
         buildArtifacts: [],
         deploymentUrl: null,
-        healthEndpoint: null
+        healthEndpoint: null,
+        trigger,
+        freezeOverride: null
       }
     }
+  }
 
-    this.activeDeployments.set(deploymentId, deployment)
-    
-    // Start the deployment process
-    this.executeDeployment(deploymentId).catch(error => {
+  // Work out what startDeployment would do without deploying anything: the
+  // provider, framework settings, stages, Dockerfile, masked env vars, plan
+  // limits, freezes and rollback target. Only read requests are made.
+  // Pass options.project to plan an unsaved project (e.g. a draft in
+  // NewProjectModal). Problems are collected in plan.errors and
+  // plan.warnings rather than thrown; plan.summary holds a readable version.
+  async planDeployment(projectId, { project = null, freezeOverride = null, ...options } = {}) {
+    const deployment = this.createDeployment(projectId, options)
+    deployment.project = project || await apiService.request(`/projects/${projectId}`)
+
+    const errors = []
+    const warnings = []
+    const check = (fn) => {
+      try {
+        return fn()
+      } catch (error) {
+        errors.push({ field: error.details?.field || null, message: error.message })
+        return null
+      }
+    }
+
+    const { environment, provider: providerId, region, strategy } = deployment.options
+    const deployConfig = deployment.project.deployConfig || {}
+
+    if (!deployment.project.repoUrl) {
+      errors.push({ field: 'repoUrl', message: 'Repository URL is required' })
+    }
+
+    const provider = CLOUD_PROVIDERS[providerId]
+    if (!provider) {
+      errors.push({ field: 'provider', message: `Unsupported cloud provider: ${providerId}` })
+    } else if (region && !provider.regions.includes(region)) {
+      errors.push({ field: 'region', message: `Region ${region} is not available for ${providerId}` })
+    }
+
+    // The framework is normally detected after cloning; plans use the saved one
+    const frameworkKey = resolveFrameworkKey(deployConfig.framework)
+    deployment.framework = frameworkKey
+    if (!deployConfig.framework) {
+      warnings.push('No framework is saved for this project; it will be detected after cloning')
+    } else if (!frameworkKey) {
+      errors.push({ field: 'framework', message: `Unsupported framework: ${deployConfig.framework}` })
+    } else if (provider && !provider.supports.includes(frameworkKey)) {
+      errors.push({
+        field: 'provider',
+        message: `${provider.name} does not support ${FRAMEWORK_CONFIGS[frameworkKey].name} projects`
+      })
+    }
+
+    if (frameworkKey) {
+      deployment.frameworkConfig = { ...FRAMEWORK_CONFIGS[frameworkKey], ...pickBuildSettings(deployConfig) }
+    }
+
+    if (!Object.values(DEPLOYMENT_STRATEGIES).includes(strategy)) {
+      errors.push({ field: 'strategy', message: `Unsupported deployment strategy: ${strategy}` })
+    }
+    if (strategy === DEPLOYMENT_STRATEGIES.CANARY) {
+      deployment.canarySettings = check(() => this.resolveCanarySettings(deployment.options.canary))
+    }
+    if (strategy === DEPLOYMENT_STRATEGIES.ROLLING) {
+      if (provider && provider.type !== 'container') {
+        errors.push({
+          field: 'strategy',
+          message: `The ${strategy} strategy requires a container provider (${providerId} is ${provider.type})`
+        })
+      }
+      deployment.rollingSettings = check(() => this.resolveRollingSettings(deployment.options.rolling))
+    }
+    deployment.approvalSettings = check(() => this.resolveApprovalSettings(deployment))
+
+    // Stages in run order, with the outcome of their conditions
+    const pipeline = check(() => this.resolvePipeline(deployment)) || []
+    const stages = pipeline.map(step => {
+      let willRun = null
+      try {
+        willRun = provider ? evaluateCondition(step.when, deployment, this.conditions) : null
+      } catch (error) {
+        errors.push({ field: 'pipeline.stages', message: `${step.stage}: ${error.message}` })
+      }
+      return {
+        stage: step.stage,
+        command: step.command,
+        dependsOn: step.dependsOn,
+        condition: typeof step.when === 'string' ? step.when : (step.when ? 'custom condition' : null),
+        willRun
+      }
+    })
+
+    if (this.conditions.shiftsTraffic(deployment) && pipeline.length > 0 &&
+        !pipeline.some(step => step.stage === DEPLOYMENT_STAGES.SWITCHING_TRAFFIC)) {
+      errors.push({
+        field: 'pipeline.stages',
+        message: `The ${strategy} strategy needs a ${DEPLOYMENT_STAGES.SWITCHING_TRAFFIC} stage in the pipeline`
+      })
+    }
+    if (deployment.approvalSettings && pipeline.length > 0 &&
+        !pipeline.some(step => step.stage === DEPLOYMENT_STAGES.APPROVAL)) {
+      errors.push({
+        field: 'pipeline.stages',
+        message: `Deployments to ${environment} need approval, which needs an ${DEPLOYMENT_STAGES.APPROVAL} stage in the pipeline`
+      })
+    }
+
+    const containerized = Boolean(provider) && this.requiresContainerization(deployment)
+    const env = await this.planVariables(deployment, warnings)
+
+    // Freezes refuse the deployment unless freezeOverride may override them
+    let freeze = null
+    try {
+      freeze = await freezeCalendar.findFreeze(projectId, environment)
+    } catch (error) {
+      warnings.push('Could not load freeze periods; a freeze may still refuse the deployment')
+    }
+    let freezeOverrideRecord = null
+    if (freeze) {
+      freezeOverrideRecord = check(() => this.overrideFreeze(deployment, freeze, freezeOverride))
+      if (freezeOverrideRecord) {
+        warnings.push(`Deploying during a freeze (until ${new Date(freeze.end).toISOString()}) on override by ${freezeOverrideRecord.by.name}`)
+      }
+    }
+
+    const limits = await this.checkPlanLimits(errors, warnings)
+    const rollback = await this.planRollback(deployment, warnings)
+    const containerFiles = containerized && deployment.frameworkConfig ? this.getContainerFiles(deployment) : null
+
+    const plan = {
+      projectId,
+      projectName: deployment.project.projectName || null,
+      environment,
+      branch: deployment.options.branch,
+      provider: provider
+        ? { id: providerId, name: provider.name, type: provider.type, region: region || null, regions: provider.regions }
+        : { id: providerId, name: providerId, type: null, region: region || null, regions: [] },
+      framework: frameworkKey ? { id: frameworkKey, name: FRAMEWORK_CONFIGS[frameworkKey].name } : null,
+      config: deployment.frameworkConfig
+        ? {
+            installCommand: deployment.frameworkConfig.installCommand,
+            buildCommand: deployment.frameworkConfig.buildCommand,
+            startCommand: deployment.frameworkConfig.startCommand,
+            testCommand: deployment.options.runTests ? deployment.frameworkConfig.testCommand : null,
+            outputDir: deployment.frameworkConfig.outputDir,
+            port: deployment.frameworkConfig.port,
+            healthEndpoint: deployment.frameworkConfig.healthEndpoint
+          }
+        : null,
+      strategy,
+      canary: deployment.canarySettings || null,
+      rolling: deployment.rollingSettings || null,
+      approval: deployment.approvalSettings || null,
+      stages,
+      dockerfile: containerFiles?.dockerfile || null,
+      dockerignore: containerFiles?.dockerignore || null,
+      env,
+      limits,
+      freeze: freeze ? { ...freeze, override: freezeOverrideRecord } : null,
+      rollback,
+      errors,
+      warnings,
+      valid: errors.length === 0
+    }
+    plan.summary = this.describePlan(plan)
+
+    return plan
+  }
+
+  // Masked variables a deployment plan would inject, with their target
+  async planVariables(deployment, warnings) {
+    const repoEnv = deployment.frameworkConfig?.env || {}
+    let variables = []
+
+    if (deployment.projectId) {
+      try {
+        const response = await apiService.getEnvironmentVariables(deployment.projectId, deployment.options.environment)
+        variables = response.variables || []
+      } catch (error) {
+        warnings.push('Could not load the environment variables for this environment')
+      }
+    }
+
+    return [
+      ...variables
+        .filter(variable => !(variable.name in repoEnv))
+        .map(variable => ({ name: variable.name, value: MASKED_VALUE, secret: Boolean(variable.secret), target: variable.target })),
+      ...Object.keys(repoEnv).map(name => ({ name, value: MASKED_VALUE, secret: false, target: VARIABLE_TARGETS.RUNTIME }))
+    ]
+  }
+
+  // Compare usage with the subscription plan's limits for a deployment plan
+  async checkPlanLimits(errors, warnings) {
+    const limits = billingService.getUsageLimits()
+    const running = Array.from(this.activeDeployments.values())
+      .filter(d => d.status !== DEPLOYMENT_STAGES.QUEUED).length
+
+    let usage = {}
+    try {
+      usage = await apiService.getUsageStats()
+    } catch (error) {
+      warnings.push('Could not load current usage; daily and monthly limits were not checked')
+    }
+
+    const checks = [
+      { name: 'deploymentsPerDay', label: 'Daily deployments', used: usage.deploymentsToday, limit: limits.deploymentsPerDay },
+      { name: 'deploymentsPerMonth', label: 'Monthly deployments', used: usage.deploymentsThisMonth, limit: limits.deploymentsPerMonth },
+      { name: 'concurrentDeployments', label: 'Concurrent deployments', used: running, limit: limits.concurrentDeployments ?? -1 }
+    ].map(limit => ({
+      ...limit,
+      ok: limit.limit === -1 || limit.used === undefined || limit.used < limit.limit
+    }))
+
+    checks.filter(limit => !limit.ok).forEach(limit => {
+      if (limit.name === 'concurrentDeployments') {
+        warnings.push(`${limit.label} limit reached (${limit.used}/${limit.limit}); the deployment will wait in the queue`)
+      } else {
+        errors.push({ field: limit.name, message: `${limit.label} limit reached (${limit.used}/${limit.limit}); upgrade your plan to deploy` })
+      }
+    })
+
+    return checks
+  }
+
+  // How a failed deployment of the plan would be rolled back
+  async planRollback(deployment, warnings) {
+    const methods = {
+      [DEPLOYMENT_STRATEGIES.BLUE_GREEN]: 'Discard the idle color; live traffic is not switched until checks pass',
+      [DEPLOYMENT_STRATEGIES.CANARY]: 'Withdraw the canary and return all traffic to the stable version',
+      [DEPLOYMENT_STRATEGIES.ROLLING]: 'Restore the instances already replaced',
+      [DEPLOYMENT_STRATEGIES.IN_PLACE]: 'Redeploy the last successful deployment'
+    }
+
+    const rollback = {
+      automatic: deployment.options.autoRollback,
+      method: methods[deployment.options.strategy] || null,
+      target: null
+    }
+
+    if (!deployment.projectId) return rollback
+
+    try {
+      const previousDeployments = await apiService.getDeployments(deployment.projectId)
+      const lastSuccessful = previousDeployments.find(d => d.status === 'success')
+      rollback.target = lastSuccessful
+        ? { deploymentId: lastSuccessful.deploymentId, environment: lastSuccessful.environment || null, commitHash: lastSuccessful.commitHash || null }
+        : null
+      if (!lastSuccessful && deployment.options.strategy === DEPLOYMENT_STRATEGIES.IN_PLACE) {
+        warnings.push('No previous successful deployment to roll back to')
+      }
+    } catch (error) {
+      warnings.push('Could not load previous deployments to find a rollback target')
+    }
+
+    return rollback
+  }
+
+  // Readable lines describing a plan from planDeployment
+  describePlan(plan) {
+    const lines = [
+      `Deploy ${plan.projectName || plan.projectId || 'new project'} (${plan.branch}) to ${plan.environment}`,
+      `Provider: ${plan.provider.name}${plan.provider.type ? ` (${plan.provider.type})` : ''}, region ${plan.provider.region || 'provider default'}`,
+      `Framework: ${plan.framework ? plan.framework.name : 'detected after cloning'}`,
+      `Strategy: ${plan.strategy}`
+    ]
+
+    if (plan.config) {
+      lines.push(`Install: ${plan.config.installCommand}; build: ${plan.config.buildCommand}; start: ${plan.config.startCommand}; port ${plan.config.port}`)
+    }
+
+    lines.push('Stages:')
+    plan.stages.forEach((step, index) => {
+      const outcome = step.willRun === false ? ` (skipped: ${step.condition} is false)` : ''
+      lines.push(`  ${index + 1}. ${step.stage}${outcome}`)
+    })
+
+    if (plan.approval) {
+      lines.push(`Approval: requires ${plan.approval.permission} within ${Math.round(plan.approval.timeout / 60000)} minutes`)
+    }
+    if (plan.dockerfile) {
+      lines.push('Dockerfile:', ...plan.dockerfile.trimEnd().split('\n').map(line => `  ${line}`))
+    }
+    if (plan.dockerignore) {
+      lines.push(`.dockerignore: ${plan.dockerignore.trimEnd().split('\n').join(', ')}`)
+    }
+    if (plan.env.length > 0) {
+      lines.push(`Environment variables: ${plan.env.map(variable =>
+        `${variable.name}=${variable.value} (${variable.target}${variable.secret ? ', secret' : ''})`
+      ).join(', ')}`)
+    }
+    if (plan.rollback.automatic) {
+      const target = plan.rollback.target ? ` (target ${plan.rollback.target.deploymentId})` : ''
+      lines.push(`Rollback on failure: ${plan.rollback.method}${target}`)
+    } else {
+      lines.push('Rollback on failure: disabled')
+    }
+
+    plan.errors.forEach(error => lines.push(`Error: ${error.message}`))
+    plan.warnings.forEach(warning => lines.push(`Warning: ${warning}`))
+    lines.push(`Repository config files (${REPO_CONFIG_FILES.join(', ')}) are read after cloning and may change these settings`)
+
+    return lines
+  }
+
+  // Configure queue concurrency ({ perEnvironment, supersede })
+  configureQueue(settings = {}) {
+    if (settings.perEnvironment !== undefined &&
+        !(Number.isInteger(settings.perEnvironment) && settings.perEnvironment > 0)) {
+      throw new ValidationError('perEnvironment must be a positive integer', 'perEnvironment', settings.perEnvironment)
+    }
+
+    this.queueSettings = { ...this.queueSettings, ...settings }
+    this.processQueue()
+  }
+
+  getQueueKey(deployment) {
+    return `${deployment.projectId}:${deployment.options.environment}`
+  }
+
+  // Add a deployment to the queue, superseding older queued deployments
+  // of the same project/environment when requested
+  enqueueDeployment(deployment) {
+    const key = this.getQueueKey(deployment)
+    const supersede = deployment.options.supersede ?? this.queueSettings.supersede
+
+    if (supersede) {
+      this.queue
+        .filter(id => this.getQueueKey(this.activeDeployments.get(id)) === key)
+        .forEach(id => this.supersedeDeployment(id, deployment.deploymentId))
+    }
+
+    this.queue.push(deployment.deploymentId)
+    this.addLog(deployment.deploymentId, `Deployment queued for ${deployment.options.environment}`)
+    this.processQueue()
+  }
+
+  // Start queued deployments that fit within the concurrency limits
+  processQueue() {
+    const accountLimit = billingService.getUsageLimits().concurrentDeployments ?? -1
+    const running = Array.from(this.activeDeployments.values())
+      .filter(d => d.status !== DEPLOYMENT_STAGES.QUEUED)
+
+    for (const deploymentId of [...this.queue]) {
+      if (accountLimit !== -1 && running.length >= accountLimit) break
+
+      const deployment = this.activeDeployments.get(deploymentId)
+      const key = this.getQueueKey(deployment)
+      const runningForKey = running.filter(d => this.getQueueKey(d) === key).length
+      if (runningForKey >= this.queueSettings.perEnvironment) continue
+
+      this.queue.splice(this.queue.indexOf(deploymentId), 1)
+      running.push(deployment)
+      this.runDeployment(deployment)
+    }
+
+    this.updateQueuePositions()
+  }
+
+  updateQueuePositions() {
+    this.queue.forEach((deploymentId, index) => {
+      const deployment = this.activeDeployments.get(deploymentId)
+      if (deployment.queuePosition !== index + 1) {
+        deployment.queuePosition = index + 1
+        this.notifySubscribers(deploymentId, { status: DEPLOYMENT_STAGES.QUEUED, queuePosition: index + 1 })
+      }
+    })
+  }
+
+  // Take a deployment out of the queue and start its pipeline
+  runDeployment(deployment) {
+    const { deploymentId } = deployment
+
+    deployment.status = DEPLOYMENT_STAGES.INITIALIZING
+    deployment.currentStage = DEPLOYMENT_STAGES.INITIALIZING
+    deployment.queuePosition = null
+    deployment.startTime = Date.now()
+
+    // Global deadline for the pipeline stages (rollback and cleanup are exempt)
+    deployment.deadline = deployment.startTime + (deployment.options.deploymentTimeout || DEFAULT_DEPLOYMENT_TIMEOUT)
+
+    this.followLogStream(deployment)
+
+    const run = this.executeDeployment(deploymentId).catch(error => {
       this.handleDeploymentError(deploymentId, error)
     })
+    this.pipelineRuns.set(deploymentId, run)
+  }
 
-    return deployment
+  // Drop a queued deployment in favour of a newer one
+  supersedeDeployment(deploymentId, supersededBy) {
+    const deployment = this.activeDeployments.get(deploymentId)
+    this.queue.splice(this.queue.indexOf(deploymentId), 1)
+    deployment.supersededBy = supersededBy
+
+    this.addLog(deploymentId, `Superseded by ${supersededBy} before starting`, 'warning')
+    this.completeDeployment(deploymentId, DEPLOYMENT_STAGES.SUPERSEDED)
   }
 
   // Execute the complete deployment pipeline
@@ -165,113 +1019,314 @@ class DeploymentPipeline {
     const deployment = this.activeDeployments.get(deploymentId)
     if (!deployment) throw new Error('Deployment not found')
 
+    const signal = this.abortControllers.get(deploymentId).signal
+
     try {
       // Stage 1: Initialize and validate
-      await this.executeStage(deploymentId, DEPLOYMENT_STAGES.INITIALIZING, async () => {
-        await this.initializeDeployment(deployment)
-      })
+      await this.executeStage(deploymentId, DEPLOYMENT_STAGES.INITIALIZING, async (stageSignal) => {
+        await this.initializeDeployment(deployment, stageSignal)
+      }, { signal })
 
-      // Stage 2: Clone repository
-      await this.executeStage(deploymentId, DEPLOYMENT_STAGES.CLONING, async () => {
-        await this.cloneRepository(deployment)
-      })
+      // Remaining stages come from the resolved pipeline definition
+      await this.runStageGraph(deployment)
+      signal.throwIfAborted()
 
-      // Stage 3: Analyze project structure
-      await this.executeStage(deploymentId, DEPLOYMENT_STAGES.ANALYZING, async () => {
-        await this.analyzeProject(deployment)
-      })
+      // Mark as successful
+      await this.completeDeployment(deploymentId, DEPLOYMENT_STAGES.SUCCESS)
 
-      // Stage 4: Install dependencies
-      await this.executeStage(deploymentId, DEPLOYMENT_STAGES.INSTALLING, async () => {
-        await this.installDependencies(deployment)
-      })
+    } catch (error) {
+      // Cancellation is not a failure: clean up instead of rolling back
+      if (signal.aborted) {
+        await this.finishCancelledDeployment(deploymentId)
+      } else {
+        await this.handleDeploymentError(deploymentId, error)
+      }
+    }
+  }
 
-      // Stage 5: Run tests (if enabled)
-      if (deployment.options.runTests) {
-        await this.executeStage(deploymentId, DEPLOYMENT_STAGES.TESTING, async () => {
-          await this.runTests(deployment)
-        })
+  // Run the pipeline steps as a DAG, starting each stage once its
+  // dependencies have completed or been skipped. A failure, or cancelling the
+  // deployment, aborts the stages still running and rejects with that error.
+  runStageGraph(deployment) {
+    const { deploymentId } = deployment
+    const deploymentSignal = this.abortControllers.get(deploymentId).signal
+    const controller = new AbortController()
+    const pending = new Map(deployment.pipeline.map(step => [step.stage, step]))
+    const resolved = new Set()
+    const running = new Set()
+
+    this.stageSignals.set(deploymentId, controller.signal)
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        deploymentSignal.removeEventListener('abort', onCancel)
+        this.stageSignals.delete(deploymentId)
       }
 
-      // Stage 6: Build application
-      await this.executeStage(deploymentId, DEPLOYMENT_STAGES.BUILDING, async () => {
-        await this.buildApplication(deployment)
-      })
+      const fail = (reason, error) => {
+        if (controller.signal.aborted) return
+        controller.abort(error)
 
-      // Stage 7: Containerize (if needed)
-      if (this.requiresContainerization(deployment)) {
-        await this.executeStage(deploymentId, DEPLOYMENT_STAGES.CONTAINERIZING, async () => {
-          await this.containerizeApplication(deployment)
+        running.forEach(stage => {
+          deployment.stages[stage].status = 'cancelled'
+          deployment.stages[stage].endTime = Date.now()
+          this.addLog(deploymentId, `Cancelled stage: ${stage} (${reason})`, 'warning', stage)
+          this.notifySubscribers(deploymentId, { stage, status: 'cancelled' })
         })
+        running.clear()
 
-        // Stage 8: Push to registry
-        await this.executeStage(deploymentId, DEPLOYMENT_STAGES.PUSHING, async () => {
-          await this.pushToRegistry(deployment)
-        })
+        finish()
+        reject(error)
       }
 
-      // Stage 9: Deploy to cloud provider
-      await this.executeStage(deploymentId, DEPLOYMENT_STAGES.DEPLOYING, async () => {
-        await this.deployToProvider(deployment)
-      })
-
-      // Stage 10: Health check
-      await this.executeStage(deploymentId, DEPLOYMENT_STAGES.HEALTH_CHECK, async () => {
-        await this.performHealthCheck(deployment)
-      })
+      const onCancel = () => fail('deployment cancelled', deploymentSignal.reason)
+      if (deploymentSignal.aborted) {
+        onCancel()
+        return
+      }
+      deploymentSignal.addEventListener('abort', onCancel, { once: true })
+
+      const schedule = () => {
+        if (controller.signal.aborted) return
+
+        // Skipping a stage can unblock others, so keep scanning until stable
+        let progressed = true
+        while (progressed) {
+          progressed = false
+
+          for (const step of pending.values()) {
+            if (!step.dependsOn.every(dependency => resolved.has(dependency))) continue
+            pending.delete(step.stage)
+            progressed = true
+
+            let shouldRun
+            try {
+              shouldRun = evaluateCondition(step.when, deployment, this.conditions)
+            } catch (error) {
+              fail(`${step.stage} failed`, error)
+              return
+            }
+
+            if (!shouldRun) {
+              deployment.stages[step.stage] = { status: 'skipped', startTime: null, endTime: null, logs: [] }
+              this.addLog(deploymentId, `Skipping stage: ${step.stage}`, 'info', step.stage)
+              this.notifySubscribers(deploymentId, { stage: step.stage, status: 'skipped' })
+              resolved.add(step.stage)
+              continue
+            }
+
+            if (deployment.reusedStages?.includes(step.stage)) {
+              deployment.stages[step.stage] = {
+                status: 'reused',
+                startTime: null,
+                endTime: null,
+                logs: [],
+                reusedFrom: deployment.resumedFrom
+              }
+              this.addLog(deploymentId, `Reusing stage: ${step.stage} from ${deployment.resumedFrom}`, 'info', step.stage)
+              this.notifySubscribers(deploymentId, { stage: step.stage, status: 'reused' })
+              resolved.add(step.stage)
+              continue
+            }
+
+            running.add(step.stage)
+            const handler = this.stageRegistry.get(step.stage)
+
+            this.executeStage(deploymentId, step.stage, async (stageSignal) => {
+              if (handler) {
+                await handler.run(deployment, step, stageSignal)
+              } else {
+                await this.runCommand(deployment, step, stageSignal)
+              }
+            }, {
+              signal: controller.signal,
+              retryPolicy: step.retry,
+              timeout: step.timeout,
+              ignoreDeadline: handler?.ignoreDeadline
+            })
+              .then(() => {
+                if (controller.signal.aborted) return
+                running.delete(step.stage)
+                resolved.add(step.stage)
+                schedule()
+              })
+              .catch(error => {
+                if (controller.signal.aborted) return
+                running.delete(step.stage)
+                fail(`${step.stage} failed`, error)
+              })
+          }
+        }
 
-      // Mark as successful
-      await this.completeDeployment(deploymentId, DEPLOYMENT_STAGES.SUCCESS)
+        if (pending.size === 0 && running.size === 0) {
+          finish()
+          resolve()
+        }
+      }
 
-    } catch (error) {
-      await this.handleDeploymentError(deploymentId, error)
-    }
+      schedule()
+    })
   }
 
-  // Execute a single deployment stage
-  async executeStage(deploymentId, stage, stageFunction) {
+  // Execute a single deployment stage, retrying failed attempts according to
+  // the retry policy (deployment.options.retryPolicy overridden per stage).
+  // When a signal is given and aborted (deployment cancelled or a sibling stage
+  // failed), the stage rejects with the abort reason without recording a failure.
+  // The stage timeout covers all attempts and is capped by the deployment
+  // deadline unless ignoreDeadline is set; exceeding it is not retried.
+  // stageFunction receives the stage's own signal, which aborts its in-flight
+  // work when the stage times out as well as when signal aborts.
+  // Recovery stages (rollback, cleanup after cancellation) run once without
+  // the deadline, and their failure is not recorded as the failedStage that
+  // resumeDeployment restarts from.
+  async executeStage(deploymentId, stage, stageFunction, { signal, retryPolicy, timeout, ignoreDeadline = false, recovery = false } = {}) {
     const deployment = this.activeDeployments.get(deploymentId)
     if (!deployment) throw new Error('Deployment not found')
 
+    signal?.throwIfAborted()
+
+    const stageController = new AbortController()
+    const onAbort = () => stageController.abort(signal.reason)
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    const policy = recovery
+      ? resolveRetryPolicy({ maxAttempts: 1 })
+      : resolveRetryPolicy(deployment.options.retryPolicy, retryPolicy)
     const stageStart = Date.now()
+    const stageTimeout = deployment.options.stageTimeouts?.[stage] || timeout || DEFAULT_STAGE_TIMEOUT
+    const deadline = ignoreDeadline || recovery ? Infinity : deployment.deadline
+    const stageDeadline = Math.min(stageStart + stageTimeout, deadline)
+    const createTimeoutError = () => new DeploymentError(
+      stageStart + stageTimeout <= deadline
+        ? `Stage ${stage} timed out after ${stageTimeout}ms`
+        : `Deployment exceeded its deadline during stage ${stage}`,
+      deployment.projectId,
+      deploymentId,
+      stage,
+      DeploymentFailureReasons.TIMEOUT
+    )
     deployment.currentStage = stage
     deployment.stages[stage] = {
       status: 'running',
       startTime: stageStart,
       endTime: null,
-      logs: []
+      logs: [],
+      attempts: []
     }
 
-    this.addLog(deploymentId, `Starting stage: ${stage}`, 'info')
+    this.addLog(deploymentId, `Starting stage: ${stage}`, 'info', stage)
     this.notifySubscribers(deploymentId, { stage, status: 'running' })
 
     try {
-      await stageFunction()
-      
-      const stageEnd = Date.now()
-      deployment.stages[stage].status = 'success'
-      deployment.stages[stage].endTime = stageEnd
-      
-      this.addLog(deploymentId, `Completed stage: ${stage} (${stageEnd - stageStart}ms)`, 'success')
-      this.notifySubscribers(deploymentId, { stage, status: 'success' })
-      
-    } catch (error) {
-      const stageEnd = Date.now()
-      deployment.stages[stage].status = 'failed'
-      deployment.stages[stage].endTime = stageEnd
-      deployment.stages[stage].error = error.message
-      
-      this.addLog(deploymentId, `Failed stage: ${stage} - ${error.message}`, 'error')
-      this.notifySubscribers(deploymentId, { stage, status: 'failed', error: error.message })
-      
-      throw error
+      for (let attempt = 1; ; attempt++) {
+        const attemptRecord = { attempt, status: 'running', startTime: Date.now(), endTime: null }
+        deployment.stages[stage].attempts.push(attemptRecord)
+
+        try {
+          if (Date.now() >= stageDeadline) throw createTimeoutError()
+          await this.withDeadline(stageFunction(stageController.signal), stageDeadline, createTimeoutError, stageController)
+          signal?.throwIfAborted()
+
+          const stageEnd = Date.now()
+          attemptRecord.status = 'success'
+          attemptRecord.endTime = stageEnd
+          deployment.stages[stage].status = 'success'
+          deployment.stages[stage].endTime = stageEnd
+
+          const attemptInfo = attempt > 1 ? `, attempt ${attempt}/${policy.maxAttempts}` : ''
+          this.addLog(deploymentId, `Completed stage: ${stage} (${stageEnd - stageStart}ms${attemptInfo})`, 'success', stage)
+          this.notifySubscribers(deploymentId, { stage, status: 'success' })
+          return
+
+        } catch (error) {
+          if (signal?.aborted) throw signal.reason
+
+          const errorClass = classifyError(error)
+          const errorMessage = this.redactSecrets(deployment, error.message)
+          attemptRecord.status = 'failed'
+          attemptRecord.endTime = Date.now()
+          attemptRecord.error = errorMessage
+          attemptRecord.errorClass = errorClass
+
+          const isTimeout = error.details?.reason === DeploymentFailureReasons.TIMEOUT
+          const delay = getRetryDelay(policy, attempt)
+
+          if (!isTimeout && shouldRetry(policy, attempt, errorClass) && Date.now() + delay < stageDeadline) {
+            this.addLog(
+              deploymentId,
+              `Attempt ${attempt}/${policy.maxAttempts} of ${stage} failed (${errorClass}): ${error.message} - retrying in ${delay}ms`,
+              'warning',
+              stage
+            )
+            this.notifySubscribers(deploymentId, { stage, status: 'retrying', attempt, error: errorMessage })
+
+            await wait(delay, signal)
+            signal?.throwIfAborted()
+            continue
+          }
+
+          const stageEnd = Date.now()
+          deployment.stages[stage].status = 'failed'
+          deployment.stages[stage].endTime = stageEnd
+          deployment.stages[stage].error = errorMessage
+          deployment.stages[stage].errorClass = errorClass
+          deployment.stages[stage].reason = error.details?.reason || null
+          if (!recovery) {
+            deployment.failedStage = stage
+          }
+
+          const attemptInfo = attempt > 1 ? ` after ${attempt} attempts` : ''
+          this.addLog(deploymentId, `Failed stage: ${stage}${attemptInfo} - ${error.message}`, 'error', stage)
+          this.notifySubscribers(deploymentId, {
+            stage,
+            status: 'failed',
+            error: errorMessage,
+            reason: error.details?.reason || null
+          })
+
+          throw error
+        }
+      }
+    } finally {
+      signal?.removeEventListener('abort', onAbort)
     }
   }
 
+  // Reject with a timeout error if the promise has not settled by the
+  // deadline, aborting the work behind it through controller
+  withDeadline(promise, deadline, createError, controller = null) {
+    if (deadline === Infinity) return promise
+
+    let timeoutId
+    const timer = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        const error = createError()
+        controller?.abort(error)
+        reject(error)
+      }, Math.max(deadline - Date.now(), 0))
+    })
+
+    return Promise.race([promise, timer]).finally(() => clearTimeout(timeoutId))
+  }
+
+  // API request bound to a stage's signal, or else to the deployment's
+  // cancellation signal
+  apiRequest(deployment, endpoint, { signal, ...options } = {}) {
+    return apiService.request(endpoint, {
+      ...options,
+      signal: signal || this.getAbortSignal(deployment.deploymentId)
+    })
+  }
+
+  // Signal that aborts the deployment's in-flight work
+  getAbortSignal(deploymentId) {
+    return this.stageSignals.get(deploymentId) || this.abortControllers.get(deploymentId)?.signal
+  }
+
   // Initialize deployment
-  async initializeDeployment(deployment) {
+  async initializeDeployment(deployment, signal) {
     // Get project details
-    const project = await apiService.request(`/projects/${deployment.projectId}`)
+    const project = await this.apiRequest(deployment, `/projects/${deployment.projectId}`, { signal })
     deployment.project = project
 
     // Validate configuration
@@ -285,13 +1340,96 @@ class DeploymentPipeline {
       throw new Error(`Unsupported cloud provider: ${deployment.options.provider}`)
     }
 
+    const { strategy } = deployment.options
+    if (!Object.values(DEPLOYMENT_STRATEGIES).includes(strategy)) {
+      throw new Error(`Unsupported deployment strategy: ${strategy}`)
+    }
+
+    // Resolve the stage list so definition errors fail this stage
+    deployment.pipeline = this.resolvePipeline(deployment)
+
+    if (strategy === DEPLOYMENT_STRATEGIES.CANARY) {
+      deployment.canarySettings = this.resolveCanarySettings(deployment.options.canary)
+    }
+
+    if (strategy === DEPLOYMENT_STRATEGIES.ROLLING) {
+      if (provider.type !== 'container') {
+        throw new Error(`The ${strategy} strategy requires a container provider (${deployment.options.provider} is ${provider.type})`)
+      }
+      deployment.rollingSettings = this.resolveRollingSettings(deployment.options.rolling)
+    }
+
+    deployment.approvalSettings = this.resolveApprovalSettings(deployment)
+
+    // The environment's variables; secrets arrive as names only and the
+    // server substitutes their values when building and deploying
+    const { variables = [] } = await this.apiRequest(
+      deployment,
+      `/projects/${deployment.projectId}/environments/${encodeURIComponent(deployment.options.environment)}/variables`,
+      { signal }
+    )
+    deployment.variables = variables
+    secretRegistry.registerVariables(variables, {
+      projectId: deployment.projectId,
+      environment: deployment.options.environment
+    })
+
+    if (this.conditions.shiftsTraffic(deployment) &&
+        !deployment.pipeline.some(step => step.stage === DEPLOYMENT_STAGES.SWITCHING_TRAFFIC)) {
+      throw new ValidationError(
+        `The ${strategy} strategy needs a ${DEPLOYMENT_STAGES.SWITCHING_TRAFFIC} stage in the pipeline`,
+        'pipeline.stages',
+        strategy
+      )
+    }
+
+    if (deployment.approvalSettings &&
+        !deployment.pipeline.some(step => step.stage === DEPLOYMENT_STAGES.APPROVAL)) {
+      throw new ValidationError(
+        `Deployments to ${deployment.options.environment} need approval, which needs an ${DEPLOYMENT_STAGES.APPROVAL} stage in the pipeline`,
+        'pipeline.stages',
+        deployment.options.environment
+      )
+    }
+
+    // Promotions keep the source's build but take the target environment's
+    // settings; the server stages the source's image and artifacts
+    if (deployment.promotedFrom) {
+      this.applyFrameworkConfig(deployment, DEPLOYMENT_STAGES.INITIALIZING)
+      await this.apiRequest(deployment, '/deployment/promote', {
+        method: 'POST',
+        signal,
+        body: JSON.stringify({
+          deploymentId: deployment.deploymentId,
+          promotedFrom: deployment.promotedFrom,
+          environment: deployment.options.environment,
+          imageTag: deployment.metadata.imageTag,
+          buildArtifacts: deployment.metadata.buildArtifacts
+        })
+      })
+    }
+
+    // Let the server carry the original workspace over to this attempt
+    if (deployment.resumedFrom) {
+      await this.apiRequest(deployment, '/deployment/resume', {
+        method: 'POST',
+        signal,
+        body: JSON.stringify({
+          deploymentId: deployment.deploymentId,
+          resumedFrom: deployment.resumedFrom,
+          reusedStages: deployment.reusedStages
+        })
+      })
+    }
+
     this.addLog(deployment.deploymentId, `Initialized deployment for ${project.projectName}`)
   }
 
   // Clone repository
-  async cloneRepository(deployment) {
-    const response = await apiService.request('/deployment/clone', {
+  async cloneRepository(deployment, signal) {
+    const response = await this.apiRequest(deployment, '/deployment/clone', {
       method: 'POST',
+      signal,
       body: JSON.stringify({
         repoUrl: deployment.project.repoUrl,
         branch: deployment.options.branch,
@@ -300,56 +1438,186 @@ class DeploymentPipeline {
     })
 
     deployment.metadata.commitHash = response.commitHash
-    this.addLog(deployment.deploymentId, `Cloned repository at commit ${response.commitHash}`)
+    this.addLog(deployment.deploymentId, `Cloned repository at commit ${response.commitHash}`, 'info', DEPLOYMENT_STAGES.CLONING)
+
+    await this.fetchRepositoryConfig(deployment, signal)
+    await this.fetchLockfileHash(deployment, signal)
+  }
+
+  // Hash the repository's lockfile; dependency and build cache keys build on it.
+  // Hashing needs crypto.subtle, which only secure contexts provide; when it
+  // fails the deployment runs uncached instead of failing.
+  async fetchLockfileHash(deployment, signal) {
+    const response = await this.apiRequest(deployment, '/deployment/files', {
+      method: 'POST',
+      signal,
+      body: JSON.stringify({
+        deploymentId: deployment.deploymentId,
+        paths: LOCKFILES
+      })
+    })
+
+    const files = response.files || []
+    const lockfile = LOCKFILES
+      .map(path => files.find(file => file.path === path))
+      .find(Boolean)
+
+    deployment.metadata.lockfile = lockfile?.path || null
+    deployment.metadata.lockfileHash = null
+    if (!lockfile) return
+
+    try {
+      deployment.metadata.lockfileHash = await hashContent(lockfile.content)
+    } catch (error) {
+      this.addLog(
+        deployment.deploymentId,
+        `Build cache disabled: could not hash ${lockfile.path} (${error.message})`,
+        'warning',
+        DEPLOYMENT_STAGES.CLONING
+      )
+    }
+  }
+
+  // Look for a deploygenie config file committed in the repository
+  async fetchRepositoryConfig(deployment, signal) {
+    const response = await this.apiRequest(deployment, '/deployment/files', {
+      method: 'POST',
+      signal,
+      body: JSON.stringify({
+        deploymentId: deployment.deploymentId,
+        paths: REPO_CONFIG_FILES
+      })
+    })
+
+    const files = response.files || []
+    const configFile = REPO_CONFIG_FILES
+      .map(path => files.find(file => file.path === path))
+      .find(Boolean)
+
+    deployment.repoConfigSource = configFile || null
+
+    if (configFile) {
+      this.addLog(deployment.deploymentId, `Found repository config ${configFile.path}`, 'info', DEPLOYMENT_STAGES.CLONING)
+    }
   }
 
   // Analyze project structure
-  async analyzeProject(deployment) {
-    const analysis = await apiService.request('/deployment/analyze', {
+  async analyzeProject(deployment, signal) {
+    const analysis = await this.apiRequest(deployment, '/deployment/analyze', {
       method: 'POST',
+      signal,
       body: JSON.stringify({
         deploymentId: deployment.deploymentId
       })
     })
 
     deployment.framework = analysis.framework
-    deployment.frameworkConfig = FRAMEWORK_CONFIGS[analysis.framework]
-    
-    if (!deployment.frameworkConfig) {
+    if (!FRAMEWORK_CONFIGS[analysis.framework]) {
       throw new Error(`Unsupported framework: ${analysis.framework}`)
     }
 
-    // Override with custom configuration if provided
-    if (deployment.project.deployConfig) {
-      deployment.frameworkConfig = {
-        ...deployment.frameworkConfig,
-        ...deployment.project.deployConfig
+    deployment.detectedSettings = {
+      packageManager: detectPackageManager(deployment.metadata.lockfile),
+      ...Object.fromEntries(DETECTED_SETTINGS.filter(key => analysis[key] != null).map(key => [key, analysis[key]]))
+    }
+    this.applyFrameworkConfig(deployment, DEPLOYMENT_STAGES.ANALYZING)
+
+    this.addLog(deployment.deploymentId, `Detected ${deployment.frameworkConfig.name} project`, 'info', DEPLOYMENT_STAGES.ANALYZING)
+  }
+
+  // Build deployment.frameworkConfig for the deployment's environment: the
+  // framework defaults, then detected settings, saved project settings and
+  // the repository config file, each taking precedence over the last
+  applyFrameworkConfig(deployment, stage) {
+    deployment.frameworkConfig = {
+      ...FRAMEWORK_CONFIGS[deployment.framework],
+      ...deployment.detectedSettings,
+      ...pickBuildSettings(deployment.project.deployConfig)
+    }
+
+    if (deployment.repoConfigSource) {
+      this.applyRepositoryConfig(deployment, stage)
+    }
+  }
+
+  // Validate the repository config file and merge it into the framework config
+  applyRepositoryConfig(deployment, stage) {
+    const { path, content } = deployment.repoConfigSource
+
+    let repoConfig
+    try {
+      repoConfig = parseRepoConfig(path, content, CLOUD_PROVIDERS)
+    } catch (error) {
+      if (Array.isArray(error.details?.value)) {
+        error.details.value.forEach(lineError => {
+          this.addLog(deployment.deploymentId, lineError.message, 'error', stage)
+        })
+      }
+      throw error
+    }
+
+    const { env, provider, ...settings } = repoConfig
+    deployment.frameworkConfig = {
+      ...deployment.frameworkConfig,
+      ...settings,
+      env: {
+        ...deployment.frameworkConfig.env,
+        ...(env?.[deployment.options.environment] || {})
+      }
+    }
+
+    if (provider) {
+      deployment.options = {
+        ...deployment.options,
+        ...(provider.name && { provider: provider.name }),
+        ...(provider.region && { region: provider.region }),
+        ...(provider.registry && { registry: provider.registry })
+      }
+
+      const regions = CLOUD_PROVIDERS[deployment.options.provider].regions
+      if (deployment.options.region && !regions.includes(deployment.options.region)) {
+        throw new Error(`Region ${deployment.options.region} is not available for ${deployment.options.provider}`)
       }
     }
 
-    this.addLog(deployment.deploymentId, `Detected ${deployment.frameworkConfig.name} project`)
+    deployment.metadata.configFile = path
+    this.addLog(deployment.deploymentId, `Applied repository config from ${path}`, 'info', stage)
   }
 
   // Install dependencies
-  async installDependencies(deployment) {
-    await apiService.request('/deployment/install', {
+  async installDependencies(deployment, step = {}, signal) {
+    const installCommand = step.command || deployment.frameworkConfig.installCommand
+    const cacheKey = await this.getCacheKey(deployment, DEPLOYMENT_STAGES.INSTALLING, {
+      installCommand,
+      framework: deployment.framework
+    })
+
+    if (await this.restoreFromCache(deployment, DEPLOYMENT_STAGES.INSTALLING, cacheKey, signal)) {
+      this.addLog(deployment.deploymentId, 'Dependencies restored from cache', 'info', DEPLOYMENT_STAGES.INSTALLING)
+      return
+    }
+
+    await this.apiRequest(deployment, '/deployment/install', {
       method: 'POST',
+      signal,
       body: JSON.stringify({
         deploymentId: deployment.deploymentId,
-        installCommand: deployment.frameworkConfig.buildCommand
+        installCommand
       })
     })
 
-    this.addLog(deployment.deploymentId, 'Dependencies installed successfully')
+    this.addLog(deployment.deploymentId, 'Dependencies installed successfully', 'info', DEPLOYMENT_STAGES.INSTALLING)
+    await this.saveToCache(deployment, DEPLOYMENT_STAGES.INSTALLING, cacheKey, null, signal)
   }
 
   // Run tests
-  async runTests(deployment) {
-    const testResult = await apiService.request('/deployment/test', {
+  async runTests(deployment, step = {}, signal) {
+    const testResult = await this.apiRequest(deployment, '/deployment/test', {
       method: 'POST',
+      signal,
       body: JSON.stringify({
         deploymentId: deployment.deploymentId,
-        testCommand: deployment.frameworkConfig.testCommand
+        testCommand: step.command || deployment.frameworkConfig.testCommand
       })
     })
 
@@ -357,83 +1625,644 @@ class DeploymentPipeline {
       throw new Error(`Tests failed: ${testResult.error}`)
     }
 
-    this.addLog(deployment.deploymentId, `Tests passed (${testResult.testsRun} tests)`)
+    this.addLog(deployment.deploymentId, `Tests passed (${testResult.testsRun} tests)`, 'info', DEPLOYMENT_STAGES.TESTING)
+  }
+
+  // Build application
+  async buildApplication(deployment, step = {}, signal) {
+    const buildCommand = step.command || deployment.frameworkConfig.buildCommand
+    const variables = this.resolveVariables(deployment, VARIABLE_TARGETS.BUILD)
+
+    // Secrets are keyed by when they last changed, so rotating one rebuilds
+    const cacheKey = await this.getCacheKey(deployment, DEPLOYMENT_STAGES.BUILDING, {
+      buildCommand,
+      commitHash: deployment.metadata.commitHash,
+      frameworkConfig: deployment.frameworkConfig,
+      env: variables.env,
+      secrets: variables.secretVersions
+    })
+
+    const cached = await this.restoreFromCache(deployment, DEPLOYMENT_STAGES.BUILDING, cacheKey, signal)
+    if (cached) {
+      deployment.metadata.buildArtifacts = cached.artifacts || []
+      this.addLog(deployment.deploymentId, 'Build restored from cache', 'info', DEPLOYMENT_STAGES.BUILDING)
+      return
+    }
+
+    const buildResult = await this.apiRequest(deployment, '/deployment/build', {
+      method: 'POST',
+      signal,
+      body: JSON.stringify({
+        deploymentId: deployment.deploymentId,
+        buildCommand,
+        outputDir: deployment.frameworkConfig.outputDir,
+        env: variables.env,
+        secrets: variables.secrets
+      })
+    })
+
+    deployment.metadata.buildArtifacts = buildResult.artifacts
+    this.addLog(deployment.deploymentId, 'Application built successfully', 'info', DEPLOYMENT_STAGES.BUILDING)
+    await this.saveToCache(deployment, DEPLOYMENT_STAGES.BUILDING, cacheKey, buildResult.artifacts, signal)
+  }
+
+  // Variables injected for a target: plain values in env, and the names of
+  // secrets for the server to substitute. At runtime the repository config's
+  // env takes precedence, as it does for other saved settings. The names
+  // are recorded in metadata.variables and logged, never the values.
+  resolveVariables(deployment, target) {
+    const stage = target === VARIABLE_TARGETS.BUILD ? DEPLOYMENT_STAGES.BUILDING : DEPLOYMENT_STAGES.DEPLOYING
+    const repoEnv = target === VARIABLE_TARGETS.RUNTIME ? deployment.frameworkConfig.env || {} : {}
+    const applicable = (deployment.variables || []).filter(variable =>
+      (variable.target === target || variable.target === VARIABLE_TARGETS.BOTH) && !(variable.name in repoEnv)
+    )
+    const plain = applicable.filter(variable => !variable.secret)
+    const secrets = applicable.filter(variable => variable.secret)
+
+    const resolved = {
+      env: { ...Object.fromEntries(plain.map(variable => [variable.name, variable.value])), ...repoEnv },
+      secrets: secrets.map(variable => variable.name),
+      secretVersions: secrets.map(variable => `${variable.name}@${variable.updatedAt || ''}`)
+    }
+
+    const names = [...Object.keys(resolved.env), ...resolved.secrets]
+    deployment.metadata.variables = { ...deployment.metadata.variables, [target]: names }
+    if (names.length > 0) {
+      this.addLog(
+        deployment.deploymentId,
+        `Injecting ${names.length} ${target} variable${names.length === 1 ? '' : 's'}` +
+          (resolved.secrets.length > 0 ? ` (${resolved.secrets.length} secret)` : '') + `: ${names.join(', ')}`,
+        'info',
+        stage
+      )
+    }
+
+    return resolved
+  }
+
+  // Cache key for a stage, or null when the stage cannot be cached
+  // (caching disabled with options.cache === false, no lockfile to key on,
+  // or no way to hash the key)
+  async getCacheKey(deployment, stage, parts) {
+    if (deployment.options.cache === false || !deployment.metadata.lockfileHash) return null
+
+    try {
+      return await buildCache.computeKey(stage, { lockfileHash: deployment.metadata.lockfileHash, ...parts })
+    } catch (error) {
+      this.addLog(deployment.deploymentId, `Build cache disabled: could not compute the cache key (${error.message})`, 'warning', stage)
+      return null
+    }
+  }
+
+  // Restore a stage's output from the build cache; returns the cache entry on a hit.
+  // Cache errors other than cancellation count as a miss rather than failing the stage.
+  async restoreFromCache(deployment, stage, key, signal) {
+    if (!key) return null
+
+    let entry
+    try {
+      entry = await buildCache.restore(deployment.projectId, stage, key, deployment.deploymentId, { signal })
+    } catch (error) {
+      if (signal?.aborted) throw error
+      this.addLog(deployment.deploymentId, `Build cache unavailable: ${error.message}`, 'warning', stage)
+      entry = null
+    }
+
+    const hit = Boolean(entry?.hit)
+    buildCache.recordResult(deployment.projectId, stage, hit)
+
+    deployment.metadata.cache = {
+      ...deployment.metadata.cache,
+      [stage]: { key, hit, hitRate: buildCache.getHitRate(deployment.projectId, stage) },
+      hitRate: buildCache.getHitRate(deployment.projectId)
+    }
+    this.addLog(deployment.deploymentId, `Build cache ${hit ? 'hit' : 'miss'} for ${stage} (${key.slice(0, 12)})`, 'info', stage)
+
+    return hit ? entry : null
+  }
+
+  // Save a stage's output to the build cache; failures only log a warning
+  async saveToCache(deployment, stage, key, artifacts, signal) {
+    if (!key) return
+
+    try {
+      await buildCache.store(deployment.projectId, stage, key, deployment.deploymentId, {
+        artifacts,
+        signal
+      })
+    } catch (error) {
+      if (signal?.aborted) throw error
+      this.addLog(deployment.deploymentId, `Failed to update build cache: ${error.message}`, 'warning', stage)
+    }
+  }
+
+  // Run a custom command stage from the pipeline definition
+  async runCommand(deployment, step, signal) {
+    const result = await this.apiRequest(deployment, '/deployment/exec', {
+      method: 'POST',
+      signal,
+      body: JSON.stringify({
+        deploymentId: deployment.deploymentId,
+        stage: step.stage,
+        command: step.command
+      })
+    })
+
+    if (result.exitCode !== undefined && result.exitCode !== 0) {
+      throw new Error(`Command "${step.command}" exited with code ${result.exitCode}`)
+    }
+
+    this.addLog(deployment.deploymentId, `Command completed: ${step.command}`, 'info', step.stage)
+  }
+
+  // Check if containerization is required
+  requiresContainerization(deployment) {
+    const provider = CLOUD_PROVIDERS[deployment.options.provider]
+    return provider.type === 'container'
+  }
+
+  // Dockerfile and .dockerignore for the image, generated from the framework
+  // settings. A dockerfile set in the project config is used as is.
+  getContainerFiles(deployment) {
+    const config = deployment.frameworkConfig
+    if (config.dockerfile) {
+      return { dockerfile: config.dockerfile, dockerignore: null, spec: null }
+    }
+
+    const input = { ...config, lockfile: deployment.metadata.lockfile }
+    return { ...generateContainerFiles(input), spec: resolveContainerSpec(input) }
+  }
+
+  // Containerize application
+  async containerizeApplication(deployment, signal) {
+    const { dockerfile, dockerignore, spec } = this.getContainerFiles(deployment)
+    this.addLog(
+      deployment.deploymentId,
+      spec
+        ? `Generated Dockerfile: ${spec.runtime} ${spec.version}, ${spec.packageManager}${spec.static ? ', static site' : ''}`
+        : 'Using the Dockerfile from the project config',
+      'info',
+      DEPLOYMENT_STAGES.CONTAINERIZING
+    )
+
+    const containerResult = await this.apiRequest(deployment, '/deployment/containerize', {
+      method: 'POST',
+      signal,
+      body: JSON.stringify({
+        deploymentId: deployment.deploymentId,
+        dockerfile,
+        dockerignore,
+        port: deployment.frameworkConfig.port
+      })
+    })
+
+    deployment.metadata.imageTag = containerResult.imageTag
+    this.addLog(deployment.deploymentId, `Container built: ${containerResult.imageTag}`, 'info', DEPLOYMENT_STAGES.CONTAINERIZING)
+  }
+
+  // Push to container registry
+  async pushToRegistry(deployment, signal) {
+    await this.apiRequest(deployment, '/deployment/push', {
+      method: 'POST',
+      signal,
+      body: JSON.stringify({
+        deploymentId: deployment.deploymentId,
+        imageTag: deployment.metadata.imageTag,
+        registry: deployment.options.registry || 'default'
+      })
+    })
+
+    this.addLog(deployment.deploymentId, 'Container pushed to registry', 'info', DEPLOYMENT_STAGES.PUSHING)
+  }
+
+  // Deploy to cloud provider
+  // With the blue-green strategy the URL returned is the idle color's, so the
+  // health check runs against it before any traffic moves
+  async deployToProvider(deployment, signal) {
+    const { strategy } = deployment.options
+    const variables = this.resolveVariables(deployment, VARIABLE_TARGETS.RUNTIME)
+    const deployResult = await this.apiRequest(deployment, '/deployment/deploy', {
+      method: 'POST',
+      signal,
+      body: JSON.stringify({
+        deploymentId: deployment.deploymentId,
+        provider: deployment.options.provider,
+        region: deployment.options.region,
+        environment: deployment.options.environment,
+        imageTag: deployment.metadata.imageTag,
+        config: deployment.frameworkConfig,
+        env: variables.env,
+        secrets: variables.secrets,
+        strategy
+      })
+    })
+
+    deployment.metadata.deploymentUrl = deployResult.url
+    deployment.metadata.healthEndpoint = `${deployResult.url}${deployment.frameworkConfig.healthEndpoint}`
+
+    if (strategy === DEPLOYMENT_STRATEGIES.ROLLING) {
+      await this.rollInstances(deployment, deployResult.instances || [], signal)
+      return
+    }
+
+    if (strategy === DEPLOYMENT_STRATEGIES.CANARY) {
+      deployment.metadata.canary = {
+        stableDeploymentId: deployResult.stableDeploymentId || null,
+        stableUrl: deployResult.stableUrl || null,
+        canaryUrl: deployResult.url,
+        weight: 0,
+        promoted: false,
+        rolledBack: false
+      }
+      this.addLog(
+        deployment.deploymentId,
+        `Deployed canary at ${deployResult.url}` +
+          (deployResult.stableDeploymentId ? ` next to stable ${deployResult.stableDeploymentId}` : ''),
+        'info',
+        DEPLOYMENT_STAGES.DEPLOYING
+      )
+      return
+    }
+
+    if (strategy === DEPLOYMENT_STRATEGIES.BLUE_GREEN) {
+      deployment.metadata.blueGreen = {
+        color: deployResult.color,
+        previousColor: deployResult.liveColor || null,
+        idleUrl: deployResult.url,
+        switched: false,
+        switchedAt: null,
+        warmUntil: null
+      }
+      this.addLog(
+        deployment.deploymentId,
+        `Deployed ${deployResult.color} at ${deployResult.url}` +
+          (deployResult.liveColor ? ` alongside live ${deployResult.liveColor}` : ''),
+        'info',
+        DEPLOYMENT_STAGES.DEPLOYING
+      )
+      return
+    }
+
+    this.addLog(deployment.deploymentId, `Deployed to ${deployResult.url}`, 'info', DEPLOYMENT_STAGES.DEPLOYING)
+  }
+
+  // Move traffic to the new version according to the deployment strategy
+  async switchTraffic(deployment, signal) {
+    if (deployment.options.strategy === DEPLOYMENT_STRATEGIES.CANARY) {
+      await this.shiftCanaryTraffic(deployment, signal)
+    } else {
+      await this.switchBlueGreenTraffic(deployment, signal)
+    }
+  }
+
+  // Route the environment's traffic to the new color, keeping the previous
+  // color warm so a rollback is only a traffic flip
+  async switchBlueGreenTraffic(deployment, signal) {
+    const blueGreen = deployment.metadata.blueGreen
+    const warmWindow = deployment.options.warmWindow ?? DEFAULT_WARM_WINDOW
+
+    const result = await this.apiRequest(deployment, '/deployment/traffic', {
+      method: 'POST',
+      signal,
+      body: JSON.stringify({
+        deploymentId: deployment.deploymentId,
+        environment: deployment.options.environment,
+        color: blueGreen.color,
+        keepWarm: blueGreen.previousColor ? { color: blueGreen.previousColor, duration: warmWindow } : null
+      })
+    })
+
+    blueGreen.switched = true
+    blueGreen.switchedAt = Date.now()
+    blueGreen.warmUntil = blueGreen.previousColor ? blueGreen.switchedAt + warmWindow : null
+    deployment.metadata.deploymentUrl = result.url || deployment.metadata.deploymentUrl
+
+    this.addLog(
+      deployment.deploymentId,
+      `Switched ${deployment.options.environment} traffic to ${blueGreen.color}` +
+        (blueGreen.previousColor ? ` (${blueGreen.previousColor} kept warm for ${Math.round(warmWindow / 60000)} min)` : ''),
+      'info',
+      DEPLOYMENT_STAGES.SWITCHING_TRAFFIC
+    )
+  }
+
+  // Merge and validate rolling update settings
+  resolveRollingSettings(overrides = {}) {
+    const settings = { ...DEFAULT_ROLLING_SETTINGS, ...overrides }
+    const isCount = (value, min) => Number.isInteger(value) && value >= min
+
+    if (!isCount(settings.batchSize, 1)) {
+      throw new ValidationError('Rolling batchSize must be a positive integer', 'rolling.batchSize', settings.batchSize)
+    }
+    if (!isCount(settings.maxSurge, 0) || !isCount(settings.maxUnavailable, 0)) {
+      throw new ValidationError('Rolling maxSurge and maxUnavailable must be non-negative integers', 'rolling', settings)
+    }
+    if (settings.batchSize > settings.maxSurge + settings.maxUnavailable) {
+      throw new ValidationError(
+        `Rolling batchSize (${settings.batchSize}) cannot exceed maxSurge + maxUnavailable (${settings.maxSurge + settings.maxUnavailable})`,
+        'rolling.batchSize',
+        settings.batchSize
+      )
+    }
+
+    return settings
+  }
+
+  // Replace the provider's running instances batch by batch, waiting for the
+  // new instances to report healthy before moving on. A failure stops the
+  // rollout and restores the instances already replaced. Batches are recorded
+  // as sub-stages of DEPLOYING.
+  async rollInstances(deployment, instances, signal) {
+    const { deploymentId } = deployment
+    const stage = DEPLOYMENT_STAGES.DEPLOYING
+    const settings = deployment.rollingSettings
+    const subStages = deployment.stages[stage].subStages = []
+    const rolling = deployment.metadata.rolling = {
+      instances: instances.length,
+      replaced: [],
+      completed: false,
+      restored: false
+    }
+
+    const batches = []
+    for (let index = 0; index < instances.length; index += settings.batchSize) {
+      batches.push(instances.slice(index, index + settings.batchSize))
+    }
+
+    for (const [index, batch] of batches.entries()) {
+      const subStage = {
+        name: `batch ${index + 1}/${batches.length}`,
+        instances: batch,
+        status: 'running',
+        startTime: Date.now(),
+        endTime: null
+      }
+      subStages.push(subStage)
+      this.notifySubscribers(deploymentId, { stage, subStage: subStage.name, status: 'running' })
+
+      try {
+        const result = await this.apiRequest(deployment, '/deployment/instances/replace', {
+          method: 'POST',
+          signal,
+          body: JSON.stringify({
+            deploymentId,
+            instances: batch,
+            maxSurge: settings.maxSurge,
+            maxUnavailable: settings.maxUnavailable
+          })
+        })
+
+        const replacements = result.replacements || []
+        rolling.replaced.push(...replacements)
+
+        await Promise.all(replacements.map(replacement =>
+          this.waitForInstanceHealth(deployment, `${replacement.url}${deployment.frameworkConfig.healthEndpoint}`, signal)
+        ))
+      } catch (error) {
+        subStage.status = 'failed'
+        subStage.endTime = Date.now()
+        this.notifySubscribers(deploymentId, { stage, subStage: subStage.name, status: 'failed' })
+
+        if (!this.getAbortSignal(deploymentId)?.aborted) {
+          this.addLog(deploymentId, `Rolling update stopped at ${subStage.name}: ${error.message}`, 'error', stage)
+          await this.restoreReplacedInstances(deployment)
+        }
+        throw error
+      }
+
+      subStage.status = 'success'
+      subStage.endTime = Date.now()
+      this.notifySubscribers(deploymentId, { stage, subStage: subStage.name, status: 'success' })
+      this.addLog(deploymentId, `Replaced ${batch.length} instance(s) in ${subStage.name}`, 'info', stage)
+    }
+
+    rolling.completed = true
+    this.addLog(deploymentId, `Rolling update replaced ${instances.length} instance(s)`, 'info', stage)
+  }
+
+  // Poll a new instance's health endpoint through the health monitor until it
+  // responds successfully or the rolling healthTimeout passes
+  async waitForInstanceHealth(deployment, healthEndpoint, signal) {
+    const { healthTimeout, healthCheckInterval } = deployment.rollingSettings
+    const deadline = Date.now() + healthTimeout
+    let lastError = null
+
+    while (Date.now() < deadline) {
+      signal?.throwIfAborted()
+      try {
+        const result = await healthMonitor.checkApplicationHealth(healthEndpoint, healthCheckInterval)
+        if (result.status < 400) return
+        lastError = `status ${result.status}`
+      } catch (error) {
+        lastError = error.message
+      }
+      await wait(healthCheckInterval, signal)
+    }
+
+    signal?.throwIfAborted()
+    throw new Error(`Instance at ${healthEndpoint} did not become healthy (${lastError || 'no response'})`)
   }
 
-  // Build application
-  async buildApplication(deployment) {
-    const buildResult = await apiService.request('/deployment/build', {
+  // Put back the instances a failed rolling update already replaced
+  // Runs without the deployment signal so it also completes after cancellation
+  async restoreReplacedInstances(deployment) {
+    const rolling = deployment.metadata.rolling
+    if (rolling.restored || rolling.replaced.length === 0) return
+
+    await apiService.request('/deployment/instances/restore', {
       method: 'POST',
       body: JSON.stringify({
         deploymentId: deployment.deploymentId,
-        buildCommand: deployment.frameworkConfig.buildCommand,
-        outputDir: deployment.frameworkConfig.outputDir
+        replacements: rolling.replaced
       })
     })
 
-    deployment.metadata.buildArtifacts = buildResult.artifacts
-    this.addLog(deployment.deploymentId, 'Application built successfully')
+    rolling.restored = true
+    this.addLog(deployment.deploymentId, `Restored ${rolling.replaced.length} replaced instance(s)`, 'warning')
   }
 
-  // Check if containerization is required
-  requiresContainerization(deployment) {
-    const provider = CLOUD_PROVIDERS[deployment.options.provider]
-    return provider.type === 'container'
+  // Merge and validate canary settings
+  resolveCanarySettings(overrides = {}) {
+    const settings = { ...DEFAULT_CANARY_SETTINGS, ...overrides }
+    const { steps } = settings
+
+    const increasing = Array.isArray(steps) && steps.every((weight, index) =>
+      Number.isFinite(weight) && weight > 0 && weight <= 100 && (index === 0 || weight > steps[index - 1])
+    )
+    if (!increasing || steps[steps.length - 1] !== 100) {
+      throw new ValidationError('Canary steps must be increasing percentages ending at 100', 'canary.steps', steps)
+    }
+    if (!(Number.isFinite(settings.interval) && settings.interval >= 0)) {
+      throw new ValidationError('Canary interval must be a non-negative number of milliseconds', 'canary.interval', settings.interval)
+    }
+
+    return settings
   }
 
-  // Containerize application
-  async containerizeApplication(deployment) {
-    const containerResult = await apiService.request('/deployment/containerize', {
-      method: 'POST',
-      body: JSON.stringify({
-        deploymentId: deployment.deploymentId,
-        dockerfile: deployment.frameworkConfig.dockerfile,
-        port: deployment.frameworkConfig.port
+  // Shift traffic to the canary step by step. After each partial step the
+  // canary's health metrics are compared with the stable version's; a breach
+  // stops the rollout and rolls the canary back. Steps are recorded as
+  // sub-stages of SWITCHING_TRAFFIC.
+  async shiftCanaryTraffic(deployment, signal) {
+    const { deploymentId } = deployment
+    const stage = DEPLOYMENT_STAGES.SWITCHING_TRAFFIC
+    const settings = deployment.canarySettings
+    const canary = deployment.metadata.canary
+    const subStages = deployment.stages[stage].subStages = []
+    let trafficResult = null
+
+    // Compare against the stable version, monitoring it for the rollout if needed
+    const monitorsStable = canary.stableDeploymentId && !healthMonitor.getMetrics(canary.stableDeploymentId) && canary.stableUrl
+    if (monitorsStable) {
+      healthMonitor.startMonitoring(canary.stableDeploymentId, deployment.projectId, {
+        healthEndpoint: `${canary.stableUrl}${deployment.frameworkConfig.healthEndpoint}`
       })
-    })
+    }
 
-    deployment.metadata.imageTag = containerResult.imageTag
-    this.addLog(deployment.deploymentId, `Container built: ${containerResult.imageTag}`)
+    try {
+      for (const weight of settings.steps) {
+        const subStage = { name: `${weight}%`, weight, status: 'running', startTime: Date.now(), endTime: null }
+        subStages.push(subStage)
+        this.notifySubscribers(deploymentId, { stage, subStage: subStage.name, status: 'running' })
+
+        trafficResult = await this.apiRequest(deployment, '/deployment/traffic', {
+          method: 'POST',
+          signal,
+          body: JSON.stringify({
+            deploymentId,
+            environment: deployment.options.environment,
+            canaryWeight: weight
+          })
+        })
+        canary.weight = weight
+        this.addLog(deploymentId, `Shifted ${weight}% of traffic to the canary`, 'info', stage)
+
+        if (weight < 100) {
+          await wait(settings.interval, signal)
+          signal?.throwIfAborted()
+
+          const analysis = this.analyzeCanary(deployment)
+          subStage.metrics = analysis
+
+          if (analysis.breaches.length > 0) {
+            subStage.status = 'failed'
+            subStage.endTime = Date.now()
+            this.notifySubscribers(deploymentId, { stage, subStage: subStage.name, status: 'failed' })
+            this.addLog(deploymentId, `Canary breached thresholds at ${weight}%: ${analysis.breaches.join('; ')}`, 'error', stage)
+
+            await this.rollbackCanary(deployment)
+            throw new DeploymentError(
+              `Canary failed at ${weight}% traffic: ${analysis.breaches.join('; ')}`,
+              deployment.projectId,
+              deploymentId,
+              stage
+            )
+          }
+        }
+
+        subStage.status = 'success'
+        subStage.endTime = Date.now()
+        this.notifySubscribers(deploymentId, { stage, subStage: subStage.name, status: 'success' })
+      }
+    } finally {
+      if (monitorsStable) healthMonitor.stopMonitoring(canary.stableDeploymentId)
+    }
+
+    canary.promoted = true
+    deployment.metadata.deploymentUrl = trafficResult?.url || deployment.metadata.deploymentUrl
+    this.addLog(deploymentId, 'Canary promoted to 100% of traffic', 'info', stage)
   }
 
-  // Push to container registry
-  async pushToRegistry(deployment) {
-    await apiService.request('/deployment/push', {
+  // Compare the canary's health metrics with the stable version's
+  analyzeCanary(deployment) {
+    const settings = deployment.canarySettings
+    const canaryMetrics = healthMonitor.getMetrics(deployment.deploymentId)
+    const stableMetrics = deployment.metadata.canary.stableDeploymentId
+      ? healthMonitor.getMetrics(deployment.metadata.canary.stableDeploymentId)
+      : null
+
+    if (!canaryMetrics || canaryMetrics.totalChecks === 0) {
+      return { canary: canaryMetrics, stable: stableMetrics, breaches: ['no health metrics for the canary'] }
+    }
+
+    const errorRate = metrics => (metrics && metrics.totalChecks > 0 ? metrics.errorCount / metrics.totalChecks : 0)
+    const breaches = []
+
+    const errorRateIncrease = errorRate(canaryMetrics) - errorRate(stableMetrics)
+    if (errorRateIncrease > settings.maxErrorRateIncrease) {
+      breaches.push(`error rate ${(errorRate(canaryMetrics) * 100).toFixed(1)}% vs ${(errorRate(stableMetrics) * 100).toFixed(1)}% stable`)
+    }
+
+    if (stableMetrics?.avgResponseTime > 0 &&
+        canaryMetrics.avgResponseTime > stableMetrics.avgResponseTime * settings.maxResponseTimeRatio) {
+      breaches.push(`avg response time ${canaryMetrics.avgResponseTime}ms vs ${stableMetrics.avgResponseTime}ms stable`)
+    }
+
+    return { canary: canaryMetrics, stable: stableMetrics, breaches }
+  }
+
+  // Send all traffic back to the stable version and remove the canary
+  // Runs without the deployment signal so it also completes after a failure
+  async rollbackCanary(deployment) {
+    const canary = deployment.metadata.canary
+    if (canary.rolledBack) return
+
+    await apiService.request('/deployment/traffic', {
       method: 'POST',
       body: JSON.stringify({
         deploymentId: deployment.deploymentId,
-        imageTag: deployment.metadata.imageTag,
-        registry: deployment.options.registry || 'default'
+        environment: deployment.options.environment,
+        canaryWeight: 0
       })
     })
+    await apiService.request(`/deployment/${deployment.deploymentId}/teardown`, { method: 'POST' })
 
-    this.addLog(deployment.deploymentId, 'Container pushed to registry')
+    canary.weight = 0
+    canary.rolledBack = true
+    this.addLog(deployment.deploymentId, 'Canary rolled back; all traffic is on the stable version', 'warning')
   }
 
-  // Deploy to cloud provider
-  async deployToProvider(deployment) {
-    const deployResult = await apiService.request('/deployment/deploy', {
+  // Whether a blue-green deployment switched traffic and its previous color
+  // is still warm, so switchTrafficBack can roll it back
+  canSwitchTrafficBack(deploymentId) {
+    const blueGreen = this.getDeploymentStatus(deploymentId)?.metadata.blueGreen
+    return Boolean(blueGreen?.switched && blueGreen.previousColor && Date.now() <= blueGreen.warmUntil)
+  }
+
+  // Roll a finished blue-green deployment back by flipping traffic to the
+  // previous color, which must still be warm
+  async switchTrafficBack(deploymentId) {
+    const deployment = this.getDeploymentStatus(deploymentId)
+    const blueGreen = deployment?.metadata.blueGreen
+
+    if (!blueGreen?.switched || !blueGreen.previousColor) {
+      throw new Error('Deployment has no previous color to switch back to')
+    }
+    if (Date.now() > blueGreen.warmUntil) {
+      throw new Error(`${blueGreen.previousColor} is no longer warm; roll back with a redeploy instead`)
+    }
+
+    await apiService.request('/deployment/traffic', {
       method: 'POST',
       body: JSON.stringify({
-        deploymentId: deployment.deploymentId,
-        provider: deployment.options.provider,
-        region: deployment.options.region,
+        deploymentId,
         environment: deployment.options.environment,
-        imageTag: deployment.metadata.imageTag,
-        config: deployment.frameworkConfig
+        color: blueGreen.previousColor,
+        keepWarm: null
       })
     })
 
-    deployment.metadata.deploymentUrl = deployResult.url
-    deployment.metadata.healthEndpoint = `${deployResult.url}${deployment.frameworkConfig.healthEndpoint}`
-    
-    this.addLog(deployment.deploymentId, `Deployed to ${deployResult.url}`)
+    blueGreen.switched = false
+    blueGreen.switchedBackAt = Date.now()
+    this.addLog(deploymentId, `Switched ${deployment.options.environment} traffic back to ${blueGreen.previousColor}`, 'warning')
+    this.notifySubscribers(deploymentId, { status: deployment.status, trafficColor: blueGreen.previousColor })
   }
 
-  // Perform health check
-  async performHealthCheck(deployment) {
+  // Perform health check, then any smoke checks (options.smokeChecks)
+  async performHealthCheck(deployment, signal) {
     if (!deployment.metadata.healthEndpoint) {
-      this.addLog(deployment.deploymentId, 'No health endpoint configured, skipping health check')
+      this.addLog(deployment.deploymentId, 'No health endpoint configured, skipping health check', 'info', DEPLOYMENT_STAGES.HEALTH_CHECK)
+      await this.runSmokeChecks(deployment, signal)
       return
     }
 
@@ -449,24 +2278,251 @@ class DeploymentPipeline {
 
     // Wait for initial health check
     await new Promise((resolve, reject) => {
+      const settle = (callback) => {
+        clearTimeout(timeout)
+        unsubscribe()
+        signal?.removeEventListener('abort', onAbort)
+        callback()
+      }
+
       const timeout = setTimeout(() => {
-        reject(new Error('Health check timeout'))
+        settle(() => reject(new Error('Health check timeout')))
       }, 60000) // 1 minute timeout
 
       const unsubscribe = healthMonitor.subscribe(deployment.deploymentId, (result) => {
         if (result.status === 'healthy') {
-          clearTimeout(timeout)
-          unsubscribe()
-          resolve()
+          settle(resolve)
         } else if (result.status === 'error') {
-          clearTimeout(timeout)
-          unsubscribe()
-          reject(new Error(`Health check failed: ${result.error}`))
+          settle(() => reject(new Error(`Health check failed: ${result.error}`)))
         }
       })
+
+      const onAbort = () => settle(() => reject(signal.reason))
+      signal?.addEventListener('abort', onAbort, { once: true })
+    })
+
+    this.addLog(deployment.deploymentId, 'Health check passed', 'info', DEPLOYMENT_STAGES.HEALTH_CHECK)
+    await this.runSmokeChecks(deployment, signal)
+  }
+
+  // Request each smoke check path on the deployed URL and expect a non-error response
+  async runSmokeChecks(deployment, signal) {
+    const paths = deployment.options.smokeChecks || []
+    const baseUrl = deployment.metadata.deploymentUrl
+    if (paths.length === 0 || !baseUrl) return
+
+    for (const path of paths) {
+      signal?.throwIfAborted()
+
+      const result = await healthMonitor.checkApplicationHealth(`${baseUrl}${path}`, 10000)
+      if (result.status >= 400) {
+        throw new Error(`Smoke check ${path} failed with status ${result.status}`)
+      }
+    }
+
+    this.addLog(deployment.deploymentId, `Smoke checks passed (${paths.length})`, 'info', DEPLOYMENT_STAGES.HEALTH_CHECK)
+  }
+
+  // Approval settings for a deployment, or null when it needs no sign-off
+  // options.approval (true, false or settings) wins over the project's
+  // deployConfig.approvals for the target environment
+  resolveApprovalSettings(deployment) {
+    const configured = deployment.options.approval ??
+      deployment.project?.deployConfig?.approvals?.[deployment.options.environment]
+    if (!configured) return null
+
+    const settings = { ...DEFAULT_APPROVAL_SETTINGS, ...(configured === true ? {} : configured) }
+    if (!(Number.isFinite(settings.timeout) && settings.timeout > 0)) {
+      throw new ValidationError('Approval timeout must be a positive number of milliseconds', 'approval.timeout', settings.timeout)
+    }
+
+    return settings
+  }
+
+  // Pause until the deployment is approved or rejected. Time spent waiting
+  // does not count against the deployment deadline; no decision before the
+  // approval timeout rejects the deployment
+  async awaitApproval(deployment, signal) {
+    const { deploymentId, approvalSettings: settings } = deployment
+    const requestedAt = Date.now()
+
+    deployment.metadata.approval = {
+      status: 'pending',
+      permission: settings.permission,
+      requestedAt,
+      expiresAt: requestedAt + settings.timeout,
+      decidedBy: null,
+      decidedAt: null,
+      comment: null
+    }
+    this.addLog(deploymentId, `Waiting for approval from a user with ${settings.permission}`, 'info', DEPLOYMENT_STAGES.APPROVAL)
+    this.notifySubscribers(deploymentId, {
+      stage: DEPLOYMENT_STAGES.APPROVAL,
+      status: 'awaiting_approval',
+      approval: deployment.metadata.approval
+    })
+
+    const decision = await new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeoutId)
+        signal?.removeEventListener('abort', onAbort)
+        this.pendingApprovals.delete(deploymentId)
+      }
+      const settle = (result) => {
+        cleanup()
+        resolve(result)
+      }
+      const onAbort = () => {
+        cleanup()
+        reject(signal.reason)
+      }
+
+      const timeoutId = setTimeout(() => settle({
+        approved: false,
+        decidedBy: null,
+        comment: `No decision within ${settings.timeout}ms`
+      }), settings.timeout)
+      signal?.addEventListener('abort', onAbort, { once: true })
+      this.pendingApprovals.set(deploymentId, settle)
+    })
+
+    this.recordApprovalDecision(deployment, decision)
+
+    if (!decision.approved) {
+      throw new DeploymentError(
+        describeRejection(decision),
+        deployment.projectId,
+        deploymentId,
+        DEPLOYMENT_STAGES.APPROVAL,
+        DeploymentFailureReasons.REJECTED
+      )
+    }
+
+    deployment.deadline += Date.now() - requestedAt
+    this.addLog(deploymentId, `Approved by ${decision.decidedBy.name}`, 'success', DEPLOYMENT_STAGES.APPROVAL)
+  }
+
+  recordApprovalDecision(deployment, decision) {
+    deployment.metadata.approval = {
+      ...deployment.metadata.approval,
+      status: decision.approved ? 'approved' : 'rejected',
+      decidedBy: decision.decidedBy,
+      decidedAt: Date.now(),
+      comment: decision.comment
+    }
+    this.notifySubscribers(deployment.deploymentId, {
+      stage: DEPLOYMENT_STAGES.APPROVAL,
+      status: deployment.metadata.approval.status,
+      approval: deployment.metadata.approval
     })
+  }
+
+  // Re-register the approval wait of a deployment re-attached after a reload.
+  // The server holds it at the approval stage, so the decision (or the
+  // rejection once the wait expires) is sent there and status polling
+  // follows the outcome. A decision the server did not accept leaves the
+  // deployment waiting.
+  rearmApproval(deployment) {
+    const { deploymentId, approvalSettings: settings } = deployment
+    let timeoutId = null
+
+    const expire = () => {
+      if (!this.activeDeployments.has(deploymentId)) {
+        this.pendingApprovals.delete(deploymentId)
+        return
+      }
+      settle({
+        approved: false,
+        decidedBy: null,
+        comment: `No decision within ${settings.timeout}ms`
+      }).catch(() => {})
+    }
+    // After a failed send, wait at least a poll interval so an expiry
+    // is not retried immediately
+    const wait = (minDelay = 0) => {
+      this.pendingApprovals.set(deploymentId, settle)
+      const remaining = deployment.metadata.approval.expiresAt - Date.now()
+      timeoutId = setTimeout(expire, Math.max(remaining, minDelay))
+    }
+    const settle = async (decision) => {
+      clearTimeout(timeoutId)
+      this.pendingApprovals.delete(deploymentId)
 
-    this.addLog(deployment.deploymentId, 'Health check passed')
+      try {
+        await apiService.request(`/deployments/${deploymentId}/approval`, {
+          method: 'POST',
+          body: JSON.stringify({
+            approved: decision.approved,
+            decidedBy: decision.decidedBy,
+            comment: decision.comment
+          })
+        })
+      } catch (error) {
+        this.addLog(deploymentId, `Failed to send the approval decision: ${error.message}`, 'error', DEPLOYMENT_STAGES.APPROVAL)
+        wait(STATUS_POLL_INTERVAL)
+        throw error
+      }
+
+      this.recordApprovalDecision(deployment, decision)
+      this.addLog(
+        deploymentId,
+        decision.approved ? `Approved by ${decision.decidedBy.name}` : describeRejection(decision),
+        decision.approved ? 'success' : 'error',
+        DEPLOYMENT_STAGES.APPROVAL
+      )
+    }
+
+    wait()
+  }
+
+  // Approve a deployment waiting in the APPROVAL stage
+  // approver is { user, hasPermission } from AuthContext; the person who
+  // requested the deployment (options.requestedBy) cannot approve it, and a
+  // deployment without a recorded requester cannot be approved at all.
+  // Resolves once the decision is recorded, which for deployments
+  // re-attached after a reload means the server accepted it
+  approveDeployment(deploymentId, approver, comment = null) {
+    return this.decideApproval(deploymentId, true, approver, comment)
+  }
+
+  // Reject a deployment waiting in the APPROVAL stage
+  rejectDeployment(deploymentId, approver, comment = null) {
+    return this.decideApproval(deploymentId, false, approver, comment)
+  }
+
+  decideApproval(deploymentId, approved, { user, hasPermission }, comment) {
+    const deployment = this.activeDeployments.get(deploymentId)
+    const settle = this.pendingApprovals.get(deploymentId)
+    if (!deployment || !settle) {
+      throw new Error('Deployment is not waiting for approval')
+    }
+
+    const { permission } = deployment.approvalSettings
+    if (!user || !hasPermission(permission)) {
+      throw new AuthenticationError(`The ${permission} permission is required to approve or reject deployments`, 'approve_deployment')
+    }
+
+    const userId = user.userId || user.id
+    const { requestedBy } = deployment.options
+    if (approved && !requestedBy) {
+      throw new AuthenticationError('This deployment has no recorded requester and cannot be approved', 'approve_deployment')
+    }
+    if (approved && requestedBy === userId) {
+      throw new AuthenticationError('A deployment must be approved by someone other than the person who requested it', 'approve_deployment')
+    }
+
+    return Promise.resolve(settle({
+      approved,
+      decidedBy: { userId, name: user.name || user.email || userId },
+      comment
+    }))
+  }
+
+  // Active deployments waiting for a decision
+  getPendingApprovals(projectId = null) {
+    return this.getActiveDeployments().filter(d =>
+      d.metadata.approval?.status === 'pending' && (!projectId || d.projectId === projectId)
+    )
   }
 
   // Complete deployment
@@ -474,6 +2530,9 @@ class DeploymentPipeline {
     const deployment = this.activeDeployments.get(deploymentId)
     if (!deployment) return
 
+    // Deployments that never left the queue do not touch the project
+    const started = deployment.status !== DEPLOYMENT_STAGES.QUEUED
+
     deployment.status = status
     deployment.endTime = Date.now()
     deployment.duration = deployment.endTime - deployment.startTime
@@ -481,10 +2540,28 @@ class DeploymentPipeline {
     // Move to history
     this.deploymentHistory.set(deploymentId, deployment)
     this.activeDeployments.delete(deploymentId)
+    this.abortControllers.delete(deploymentId)
+    this.stageSignals.delete(deploymentId)
+    this.pipelineRuns.delete(deploymentId)
+    this.stopLogStream(deploymentId)
+
+    // Free the slot for the next queued deployment
+    this.processQueue()
+
+    if (!started) {
+      this.addLog(deploymentId, `Deployment ${status} while queued`)
+      this.notifySubscribers(deploymentId, { status, deployment })
+      return
+    }
 
     // Update project status
+    const projectStatus = {
+      [DEPLOYMENT_STAGES.SUCCESS]: 'deployed',
+      [DEPLOYMENT_STAGES.CANCELLED]: 'cancelled'
+    }[status] || 'failed'
+
     await apiService.updateProject(deployment.projectId, {
-      status: status === DEPLOYMENT_STAGES.SUCCESS ? 'deployed' : 'failed',
+      status: projectStatus,
       lastDeployment: deployment.endTime,
       deploymentUrl: deployment.metadata.deploymentUrl
     })
@@ -498,14 +2575,26 @@ class DeploymentPipeline {
     const deployment = this.activeDeployments.get(deploymentId)
     if (!deployment) return
 
-    this.addLog(deploymentId, `Deployment failed: ${error.message}`, 'error')
+    // Timeouts and rejections are recorded separately from ordinary stage failures
+    const reason = error.details?.reason || null
+    deployment.failureReason = reason
+
+    const summary = {
+      [DeploymentFailureReasons.TIMEOUT]: `Deployment timed out: ${error.message}`,
+      [DeploymentFailureReasons.REJECTED]: error.message
+    }[reason] || `Deployment failed: ${error.message}`
+    this.addLog(deploymentId, summary, 'error')
+
+    // A rejection before DEPLOYING left nothing to roll back
+    const rejectedBeforeDeploy = reason === DeploymentFailureReasons.REJECTED &&
+      !deployment.stages[DEPLOYMENT_STAGES.DEPLOYING]
 
     // Attempt rollback if enabled
-    if (deployment.options.autoRollback) {
+    if (deployment.options.autoRollback && !rejectedBeforeDeploy) {
       try {
         await this.executeStage(deploymentId, DEPLOYMENT_STAGES.ROLLING_BACK, async () => {
           await this.rollbackDeployment(deployment)
-        })
+        }, { recovery: true })
       } catch (rollbackError) {
         this.addLog(deploymentId, `Rollback failed: ${rollbackError.message}`, 'error')
       }
@@ -515,13 +2604,85 @@ class DeploymentPipeline {
 
     // Handle error through error handler
     errorHandler.handleError(
-      new DeploymentError(error.message, deployment.projectId, deploymentId, deployment.currentStage),
+      new DeploymentError(error.message, deployment.projectId, deploymentId, deployment.failedStage || deployment.currentStage, reason),
       { deployment }
     )
   }
 
+  // Clean up a cancelled deployment and end it in the CANCELLED stage
+  // Cancelled deployments are not failures and never auto-rollback
+  async finishCancelledDeployment(deploymentId) {
+    const deployment = this.activeDeployments.get(deploymentId)
+    if (!deployment) return
+
+    try {
+      await this.executeStage(deploymentId, DEPLOYMENT_STAGES.CANCELLED, async () => {
+        await this.cleanupCancelledDeployment(deployment)
+      }, { recovery: true })
+    } catch (cleanupError) {
+      this.addLog(deploymentId, `Cleanup after cancellation failed: ${cleanupError.message}`, 'error')
+    }
+
+    await this.completeDeployment(deploymentId, DEPLOYMENT_STAGES.CANCELLED)
+  }
+
+  // Release resources the deployment created before it was cancelled
+  // These requests deliberately run without the (aborted) deployment signal
+  async cleanupCancelledDeployment(deployment) {
+    const { deploymentId } = deployment
+
+    healthMonitor.stopMonitoring(deploymentId)
+
+    // Stop remote work and release the build workspace
+    await apiService.request(`/deployment/${deploymentId}/cancel`, { method: 'POST' })
+
+    // Undo a partial rollout
+    const { rolling, canary } = deployment.metadata
+    if (rolling && !rolling.completed) {
+      await this.restoreReplacedInstances(deployment)
+    }
+    if (canary && !canary.promoted) {
+      await this.rollbackCanary(deployment)
+    }
+
+    // Remove an image tag that was pushed, or may have been mid-push
+    const pushStage = deployment.stages[DEPLOYMENT_STAGES.PUSHING]
+    if (deployment.metadata.imageTag && pushStage && pushStage.status !== 'skipped') {
+      await apiService.request(`/registry/images/${encodeURIComponent(deployment.metadata.imageTag)}`, {
+        method: 'DELETE'
+      })
+      this.addLog(deploymentId, `Removed image ${deployment.metadata.imageTag} from registry`)
+      deployment.metadata.imageTag = null
+    }
+  }
+
   // Rollback deployment
   async rollbackDeployment(deployment) {
+    // An unfinished rolling update only needs its replaced instances restored
+    const rolling = deployment.metadata.rolling
+    if (rolling && !rolling.completed) {
+      await this.restoreReplacedInstances(deployment)
+      return
+    }
+
+    // A canary that was not promoted only needs its traffic withdrawn
+    const canary = deployment.metadata.canary
+    if (canary && !canary.promoted) {
+      await this.rollbackCanary(deployment)
+      return
+    }
+
+    // Blue-green failures before the switch never touched live traffic
+    const blueGreen = deployment.metadata.blueGreen
+    if (blueGreen && !blueGreen.switched) {
+      await apiService.request(`/deployment/${deployment.deploymentId}/teardown`, {
+        method: 'POST',
+        body: JSON.stringify({ color: blueGreen.color })
+      })
+      this.addLog(deployment.deploymentId, `Discarded idle ${blueGreen.color}; live traffic stayed on ${blueGreen.previousColor || 'the current deployment'}`)
+      return
+    }
+
     // Get previous successful deployment
     const previousDeployments = await apiService.getDeployments(deployment.projectId)
     const lastSuccessful = previousDeployments.find(d => 
@@ -538,23 +2699,126 @@ class DeploymentPipeline {
   }
 
   // Add log entry
-  addLog(deploymentId, message, level = 'info') {
+  // Stages running in parallel pass their stage explicitly; otherwise the
+  // most recently started stage is used
+  addLog(deploymentId, message, level = 'info', stage = null) {
     const deployment = this.activeDeployments.get(deploymentId) || this.deploymentHistory.get(deploymentId)
     if (!deployment) return
 
-    const logEntry = {
+    this.pushLog(deployment, {
       timestamp: Date.now(),
       level,
       message,
-      stage: deployment.currentStage
-    }
+      stage: stage || deployment.currentStage
+    })
+  }
 
+  // Append a log entry and pass it to subscribers as { log }. Secrets are
+  // masked here, before the entry is stored, persisted or emitted.
+  // Entries are numbered with the display line they start on (the viewer
+  // shows one line per newline), counting on past the 1000-entry limit so
+  // links to a line stay valid
+  pushLog(deployment, logEntry) {
+    const message = this.redactSecrets(deployment, logEntry.message)
+    const line = (deployment.logLines || 0) + 1
+    deployment.logLines = line + String(message ?? '').split('\n').length - 1
+
+    logEntry = { ...logEntry, message, line }
     deployment.logs.push(logEntry)
     
     // Keep logs manageable
     if (deployment.logs.length > 1000) {
       deployment.logs = deployment.logs.slice(-1000)
     }
+
+    this.schedulePersist(deployment.deploymentId)
+    this.emitUpdate(deployment.deploymentId, { log: logEntry })
+  }
+
+  // Mask secrets known for the deployment's project environment, as well
+  // as well-known credential formats
+  redactSecrets(deployment, text) {
+    return redact(text, secretRegistry.getMatcher({
+      projectId: deployment.projectId,
+      environment: deployment.options?.environment
+    }))
+  }
+
+  // Stage record reported by the server with its error texts redacted
+  redactStageErrors(deployment, stage) {
+    return {
+      ...stage,
+      ...(stage.error && { error: this.redactSecrets(deployment, stage.error) }),
+      ...(stage.attempts && {
+        attempts: stage.attempts.map(attempt =>
+          attempt.error ? { ...attempt, error: this.redactSecrets(deployment, attempt.error) } : attempt
+        )
+      })
+    }
+  }
+
+  // Tail the server's log channel for a deployment. Re-attached deployments
+  // also follow the stage channel, since the server drives their progress.
+  // Streaming resumes after deployment.logSeq, which survives page reloads.
+  followLogStream(deployment, { stages = false } = {}) {
+    const { deploymentId } = deployment
+    if (this.logStreams.has(deploymentId)) return
+
+    this.logStreams.set(deploymentId, logStream.subscribe(deploymentId, {
+      onLog: entry => this.appendStreamedLog(deploymentId, entry),
+      onStage: stages ? update => this.applyStreamedStage(deploymentId, update) : null,
+      after: { logs: deployment.logSeq || 0 }
+    }))
+  }
+
+  stopLogStream(deploymentId) {
+    const unsubscribe = this.logStreams.get(deploymentId)
+    if (!unsubscribe) return
+
+    unsubscribe()
+    this.logStreams.delete(deploymentId)
+  }
+
+  // Merge a streamed server log entry; entries already merged by status
+  // polling are skipped by sequence number
+  appendStreamedLog(deploymentId, entry) {
+    const deployment = this.activeDeployments.get(deploymentId)
+    if (!deployment || entry.seq <= (deployment.logSeq || 0)) return
+
+    deployment.logSeq = entry.seq
+    this.pushLog(deployment, {
+      timestamp: entry.timestamp || Date.now(),
+      level: entry.level || 'info',
+      message: entry.message,
+      stage: entry.stage || deployment.currentStage,
+      seq: entry.seq
+    })
+  }
+
+  // Apply a streamed stage transition to a re-attached deployment. Events
+  // without a stage report the deployment's own status.
+  async applyStreamedStage(deploymentId, update) {
+    const deployment = this.activeDeployments.get(deploymentId)
+    if (!deployment || !this.statusPollers.has(deploymentId)) return
+
+    if (!update.stage) {
+      if (TERMINAL_STATUSES.includes(update.status)) {
+        this.stopStatusPolling(deploymentId)
+        await this.completeDeployment(deploymentId, update.status)
+      } else if (update.status) {
+        deployment.status = update.status
+        this.notifySubscribers(deploymentId, { status: update.status })
+      }
+      return
+    }
+
+    const { seq, ...rest } = update
+    const stageUpdate = this.redactStageErrors(deployment, rest)
+    deployment.stages[update.stage] = { logs: [], ...deployment.stages[update.stage], ...stageUpdate }
+    if (update.status === 'running') {
+      deployment.currentStage = update.stage
+    }
+    this.notifySubscribers(deploymentId, stageUpdate)
   }
 
   // Subscribe to deployment updates
@@ -576,7 +2840,14 @@ class DeploymentPipeline {
   }
 
   // Notify subscribers
+  // Every update is a state transition, so it is persisted immediately
   notifySubscribers(deploymentId, update) {
+    this.persistDeployment(deploymentId)
+    this.emitUpdate(deploymentId, update)
+  }
+
+  // Pass an update to subscribers without persisting
+  emitUpdate(deploymentId, update) {
     const callbacks = this.subscribers.get(deploymentId)
     if (callbacks) {
       callbacks.forEach(callback => {
@@ -595,15 +2866,198 @@ class DeploymentPipeline {
   }
 
   // Cancel deployment
+  // Aborts in-flight requests and stages, then waits for the pipeline to
+  // finish cleaning up in the CANCELLED stage
   async cancelDeployment(deploymentId) {
     const deployment = this.activeDeployments.get(deploymentId)
     if (!deployment) throw new Error('Deployment not found or already completed')
 
-    // Cancel the deployment
-    await apiService.request(`/deployment/${deploymentId}/cancel`, { method: 'POST' })
-    
-    this.addLog(deploymentId, 'Deployment cancelled by user')
-    await this.completeDeployment(deploymentId, 'cancelled')
+    // Re-attached deployments have no local pipeline to abort
+    if (this.statusPollers.has(deploymentId)) {
+      this.stopStatusPolling(deploymentId)
+      this.addLog(deploymentId, 'Deployment cancelled by user', 'warning')
+      await apiService.request(`/deployment/${deploymentId}/cancel`, { method: 'POST' })
+      await this.completeDeployment(deploymentId, DEPLOYMENT_STAGES.CANCELLED)
+      return
+    }
+
+    // Queued deployments have nothing to clean up
+    if (this.queue.includes(deploymentId)) {
+      this.queue.splice(this.queue.indexOf(deploymentId), 1)
+      this.addLog(deploymentId, 'Deployment cancelled by user', 'warning')
+      await this.completeDeployment(deploymentId, DEPLOYMENT_STAGES.CANCELLED)
+      return
+    }
+
+    const controller = this.abortControllers.get(deploymentId)
+    const run = this.pipelineRuns.get(deploymentId)
+
+    if (!controller.signal.aborted) {
+      this.addLog(deploymentId, 'Deployment cancelled by user', 'warning')
+      controller.abort(new DeploymentError(
+        'Deployment cancelled by user',
+        deployment.projectId,
+        deploymentId,
+        deployment.currentStage,
+        DeploymentFailureReasons.CANCELLED
+      ))
+    }
+
+    await run
+  }
+
+  // Use a different persistence store (e.g. MemoryDeploymentStore in tests)
+  setStore(store) {
+    this.store = store
+    this.rehydration = null
+  }
+
+  // Write a snapshot of the deployment to the store
+  persistDeployment(deploymentId) {
+    clearTimeout(this.pendingPersists.get(deploymentId))
+    this.pendingPersists.delete(deploymentId)
+
+    const deployment = this.getDeploymentStatus(deploymentId)
+    if (!deployment) return Promise.resolve()
+
+    return this.store.save(snapshotDeployment(deployment)).catch(error => {
+      console.error('Failed to persist deployment:', error)
+    })
+  }
+
+  // Persist after a short delay so a burst of log lines is written once
+  schedulePersist(deploymentId) {
+    if (this.pendingPersists.has(deploymentId)) return
+
+    this.pendingPersists.set(
+      deploymentId,
+      setTimeout(() => this.persistDeployment(deploymentId), LOG_PERSIST_INTERVAL)
+    )
+  }
+
+  // Restore persisted deployments; safe to call more than once
+  rehydrate() {
+    if (!this.rehydration) {
+      this.rehydration = this.loadPersistedDeployments()
+    }
+    return this.rehydration
+  }
+
+  async loadPersistedDeployments() {
+    let snapshots
+    try {
+      snapshots = await this.store.loadAll()
+    } catch (error) {
+      console.error('Failed to load persisted deployments:', error)
+      return
+    }
+
+    const known = snapshots.filter(d => !this.getDeploymentStatus(d.deploymentId))
+    const finished = known
+      .filter(d => TERMINAL_STATUSES.includes(d.status))
+      .sort((a, b) => b.startTime - a.startTime)
+
+    finished.slice(0, MAX_PERSISTED_HISTORY).forEach(d => this.deploymentHistory.set(d.deploymentId, d))
+    finished.slice(MAX_PERSISTED_HISTORY).forEach(d => {
+      this.store.remove(d.deploymentId).catch(error => {
+        console.error('Failed to prune persisted deployment:', error)
+      })
+    })
+
+    // Queued deployments never reached the server, so they simply rejoin the queue
+    known
+      .filter(d => d.status === DEPLOYMENT_STAGES.QUEUED)
+      .sort((a, b) => a.queuedAt - b.queuedAt)
+      .forEach(deployment => {
+        deployment.queuePosition = null
+        this.activeDeployments.set(deployment.deploymentId, deployment)
+        this.abortControllers.set(deployment.deploymentId, new AbortController())
+        this.queue.push(deployment.deploymentId)
+      })
+
+    known
+      .filter(d => !TERMINAL_STATUSES.includes(d.status) && d.status !== DEPLOYMENT_STAGES.QUEUED)
+      .forEach(deployment => this.reattachDeployment(deployment))
+
+    this.processQueue()
+  }
+
+  // Follow a deployment that was in flight when the page unloaded
+  reattachDeployment(deployment) {
+    const { deploymentId } = deployment
+
+    this.activeDeployments.set(deploymentId, deployment)
+    // The snapshot keeps the environment's variables, secrets by name only
+    secretRegistry.registerVariables(deployment.variables, {
+      projectId: deployment.projectId,
+      environment: deployment.options.environment
+    })
+    this.addLog(deploymentId, 'Re-attached after reload, following progress from the server')
+    if (deployment.metadata.approval?.status === 'pending') {
+      this.rearmApproval(deployment)
+    }
+    this.followLogStream(deployment, { stages: true })
+
+    const poll = () => this.pollDeploymentStatus(deploymentId)
+    this.statusPollers.set(deploymentId, setInterval(poll, STATUS_POLL_INTERVAL))
+    poll()
+  }
+
+  stopStatusPolling(deploymentId) {
+    clearInterval(this.statusPollers.get(deploymentId))
+    this.statusPollers.delete(deploymentId)
+  }
+
+  // Merge the server's view of a re-attached deployment into local state
+  async pollDeploymentStatus(deploymentId) {
+    const deployment = this.activeDeployments.get(deploymentId)
+    if (!deployment || !this.statusPollers.has(deploymentId)) return
+
+    let remote
+    try {
+      remote = await apiService.request(`/deployments/${deploymentId}/status`)
+    } catch (error) {
+      if (error.status === 404) {
+        this.stopStatusPolling(deploymentId)
+        this.addLog(deploymentId, 'Deployment is no longer known to the server', 'error')
+        await this.completeDeployment(deploymentId, DEPLOYMENT_STAGES.FAILED)
+      } else {
+        this.addLog(deploymentId, `Failed to poll deployment status: ${error.message}`, 'warning')
+      }
+      return
+    }
+
+    // The deployment may have been cancelled while the request was in flight
+    if (!this.statusPollers.has(deploymentId)) return
+
+    const previousStage = deployment.currentStage
+    const lastLogTime = deployment.logs.length > 0 ? deployment.logs[deployment.logs.length - 1].timestamp : 0
+
+    Object.entries(remote.stages || {}).forEach(([stage, record]) => {
+      deployment.stages[stage] = this.redactStageErrors(deployment, record)
+    })
+    deployment.metadata = { ...deployment.metadata, ...(remote.metadata || {}) }
+    deployment.currentStage = remote.currentStage || deployment.currentStage
+    ;(remote.logs || [])
+      .filter(log => log.seq ? log.seq > (deployment.logSeq || 0) : log.timestamp > lastLogTime)
+      .forEach(log => {
+        if (log.seq) deployment.logSeq = log.seq
+        this.pushLog(deployment, log)
+      })
+
+    if (TERMINAL_STATUSES.includes(remote.status)) {
+      this.stopStatusPolling(deploymentId)
+      await this.completeDeployment(deploymentId, remote.status)
+      return
+    }
+
+    if (remote.status) deployment.status = remote.status
+
+    if (deployment.currentStage !== previousStage) {
+      this.notifySubscribers(deploymentId, { stage: deployment.currentStage, status: 'running' })
+    } else {
+      this.schedulePersist(deploymentId)
+    }
   }
 
   // Get deployment logs
@@ -612,7 +3066,7 @@ class DeploymentPipeline {
     return deployment ? deployment.logs : []
   }
 
-  // Get active deployments
+  // Get active deployments, including queued ones (see queuePosition)
   getActiveDeployments() {
     return Array.from(this.activeDeployments.values())
   }
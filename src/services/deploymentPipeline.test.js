@@ -0,0 +1,331 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import deploymentPipeline, { DEPLOYMENT_STAGES } from './deploymentPipeline'
+import { MemoryDeploymentStore } from './deploymentStore'
+import logStream from './logStream'
+import { NetworkError } from '../utils/errorHandler'
+import { mockApi, reply, waitFor } from '../test/mockApi'
+
+const PROJECT_ID = 'proj-test'
+
+// A project whose pipeline is a single custom stage
+const projectRoutes = (stage) => ({
+  [`/projects/${PROJECT_ID}`]: {
+    projectId: PROJECT_ID,
+    projectName: 'Test',
+    repoUrl: 'https://github.com/octo-org/test',
+    deployConfig: { pipeline: { stages: [stage] } }
+  },
+  [`/projects/${PROJECT_ID}/environments/production/variables`]: { variables: [] }
+})
+
+const start = (options = {}) => deploymentPipeline.startDeployment(PROJECT_ID, {
+  autoRollback: false,
+  retryPolicy: { initialDelay: 1, multiplier: 1 },
+  ...options
+})
+
+const finished = async (deployment) => {
+  await waitFor(() => deploymentPipeline.deploymentHistory.has(deployment.deploymentId))
+  return deploymentPipeline.getDeploymentStatus(deployment.deploymentId)
+}
+
+beforeEach(() => {
+  logStream.WebSocket = null
+  deploymentPipeline.setStore(new MemoryDeploymentStore())
+})
+
+describe('stage retries', () => {
+  it('retries network failures until the stage succeeds', async () => {
+    mockApi(projectRoutes('flaky'))
+    let calls = 0
+    const unregister = deploymentPipeline.registerStage('flaky', {
+      run: async () => {
+        calls += 1
+        if (calls < 3) throw new NetworkError('registry unavailable', 503)
+      }
+    })
+
+    const deployment = await finished(await start())
+    unregister()
+
+    expect(deployment.status).toBe(DEPLOYMENT_STAGES.SUCCESS)
+    expect(deployment.stages.flaky.attempts.map(attempt => attempt.status)).toEqual(['failed', 'failed', 'success'])
+    expect(deployment.stages.flaky.attempts[0].errorClass).toBe('server')
+  })
+
+  it('fails without retrying client errors', async () => {
+    mockApi(projectRoutes('invalid'))
+    const unregister = deploymentPipeline.registerStage('invalid', {
+      run: async () => {
+        const error = new Error('bad request')
+        error.status = 400
+        throw error
+      }
+    })
+
+    const deployment = await finished(await start())
+    unregister()
+
+    expect(deployment.status).toBe(DEPLOYMENT_STAGES.FAILED)
+    expect(deployment.failedStage).toBe('invalid')
+    expect(deployment.stages.invalid.attempts).toHaveLength(1)
+    expect(deployment.stages.invalid.errorClass).toBe('client')
+  })
+
+  it('stops after maxAttempts', async () => {
+    mockApi(projectRoutes('down'))
+    const unregister = deploymentPipeline.registerStage('down', {
+      run: async () => {
+        throw new NetworkError('connection reset')
+      }
+    })
+
+    const deployment = await finished(await start({ retryPolicy: { maxAttempts: 2, initialDelay: 1 } }))
+    unregister()
+
+    expect(deployment.status).toBe(DEPLOYMENT_STAGES.FAILED)
+    expect(deployment.stages.down.attempts).toHaveLength(2)
+  })
+})
+
+describe('stage timeouts', () => {
+  it('fails the stage as timed out and aborts its in-flight work', async () => {
+    mockApi(projectRoutes('hanging'))
+    let stageSignal = null
+    const unregister = deploymentPipeline.registerStage('hanging', {
+      run: (deployment, step, signal) => {
+        stageSignal = signal
+        return new Promise(() => {})
+      }
+    })
+
+    const deployment = await finished(await start({ stageTimeouts: { hanging: 20 } }))
+    unregister()
+
+    expect(deployment.status).toBe(DEPLOYMENT_STAGES.FAILED)
+    expect(deployment.failureReason).toBe('timeout')
+    expect(deployment.stages.hanging.reason).toBe('timeout')
+    expect(deployment.stages.hanging.attempts).toHaveLength(1)
+    expect(stageSignal.aborted).toBe(true)
+  })
+
+  it('fails the deployment once its deadline passes', async () => {
+    mockApi(projectRoutes('slow'))
+    const unregister = deploymentPipeline.registerStage('slow', {
+      run: () => new Promise(resolve => setTimeout(resolve, 200))
+    })
+
+    const deployment = await finished(await start({ deploymentTimeout: 30 }))
+    unregister()
+
+    expect(deployment.failureReason).toBe('timeout')
+    expect(deployment.stages.slow.error).toMatch(/exceeded its deadline/)
+  })
+})
+
+describe('freezes', () => {
+  const frozenRoutes = () => ({
+    ...projectRoutes('noop'),
+    '/freezes': {
+      freezes: [{ freezeId: 'freeze-1', projectId: null, environment: 'production', start: Date.now() - 1000, end: Date.now() + 60000, reason: 'holiday' }]
+    }
+  })
+
+  it('refuses deployments during a freeze declared through the API', async () => {
+    mockApi(frozenRoutes())
+
+    await expect(start()).rejects.toMatchObject({ details: { reason: 'frozen' } })
+  })
+
+  it('admits an admin override and records it', async () => {
+    mockApi(frozenRoutes())
+    const unregister = deploymentPipeline.registerStage('noop', { run: async () => {} })
+
+    const deployment = await finished(await start({
+      freezeOverride: { user: { userId: 'admin-1', name: 'Admin' }, hasPermission: permission => permission === 'admin' }
+    }))
+    unregister()
+
+    expect(deployment.status).toBe(DEPLOYMENT_STAGES.SUCCESS)
+    expect(deployment.metadata.freezeOverride).toMatchObject({ freezeId: 'freeze-1', by: { userId: 'admin-1' } })
+  })
+})
+
+describe('build cache', () => {
+  it('runs uncached when the lockfile cannot be hashed', async () => {
+    mockApi({
+      ...projectRoutes(DEPLOYMENT_STAGES.CLONING),
+      '/deployment/clone': { commitHash: 'abc123' },
+      '/deployment/files': ({ body }) => ({
+        files: body.paths.includes('package-lock.json') ? [{ path: 'package-lock.json', content: '{}' }] : []
+      })
+    })
+    // crypto.subtle only exists in secure contexts
+    vi.stubGlobal('crypto', {})
+
+    const deployment = await finished(await start())
+
+    expect(deployment.status).toBe(DEPLOYMENT_STAGES.SUCCESS)
+    expect(deployment.metadata.lockfile).toBe('package-lock.json')
+    expect(deployment.metadata.lockfileHash).toBeNull()
+    expect(deployment.logs.some(log => log.level === 'warning' && log.message.startsWith('Build cache disabled'))).toBe(true)
+  })
+})
+
+describe('blue-green rollback', () => {
+  const switchedDeployment = (deploymentId, warmUntil) => {
+    deploymentPipeline.deploymentHistory.set(deploymentId, {
+      deploymentId,
+      projectId: PROJECT_ID,
+      status: DEPLOYMENT_STAGES.SUCCESS,
+      startTime: Date.now(),
+      stages: {},
+      logs: [],
+      options: { environment: 'production', strategy: 'blue_green' },
+      metadata: { blueGreen: { color: 'green', previousColor: 'blue', switched: true, warmUntil } }
+    })
+  }
+
+  it('switches traffic back to the previous color while it is warm', async () => {
+    const calls = mockApi()
+    switchedDeployment('dep-warm', Date.now() + 60000)
+
+    expect(deploymentPipeline.canSwitchTrafficBack('dep-warm')).toBe(true)
+    await deploymentPipeline.switchTrafficBack('dep-warm')
+
+    expect(calls.find(call => call.path === '/deployment/traffic').body).toMatchObject({ deploymentId: 'dep-warm', color: 'blue' })
+    expect(deploymentPipeline.canSwitchTrafficBack('dep-warm')).toBe(false)
+  })
+
+  it('refuses once the warm window has passed', async () => {
+    mockApi()
+    switchedDeployment('dep-cold', Date.now() - 1)
+
+    expect(deploymentPipeline.canSwitchTrafficBack('dep-cold')).toBe(false)
+    await expect(deploymentPipeline.switchTrafficBack('dep-cold')).rejects.toThrow(/no longer warm/)
+  })
+})
+
+describe('persistence', () => {
+  it('snapshots deployments to the store', async () => {
+    const store = new MemoryDeploymentStore()
+    deploymentPipeline.setStore(store)
+    mockApi(projectRoutes('noop'))
+    const unregister = deploymentPipeline.registerStage('noop', { run: async () => {} })
+
+    const deployment = await finished(await start())
+    unregister()
+    await deploymentPipeline.persistDeployment(deployment.deploymentId)
+
+    const [snapshot] = await store.loadAll()
+    expect(snapshot.deploymentId).toBe(deployment.deploymentId)
+    expect(snapshot.status).toBe(DEPLOYMENT_STAGES.SUCCESS)
+    expect(snapshot.stages.noop.status).toBe('success')
+    expect(snapshot.logs.map(log => log.message)).toContain('Starting stage: noop')
+  })
+
+  it('re-attaches in-flight deployments and follows them to completion', async () => {
+    const store = new MemoryDeploymentStore()
+    await store.save({
+      deploymentId: 'dep-inflight',
+      projectId: PROJECT_ID,
+      status: DEPLOYMENT_STAGES.BUILDING,
+      currentStage: DEPLOYMENT_STAGES.BUILDING,
+      startTime: Date.now(),
+      stages: { [DEPLOYMENT_STAGES.BUILDING]: { status: 'running', logs: [] } },
+      logs: [],
+      options: { environment: 'production' },
+      metadata: {}
+    })
+    deploymentPipeline.setStore(store)
+
+    mockApi({
+      '/deployments/dep-inflight/status': {
+        status: DEPLOYMENT_STAGES.SUCCESS,
+        stages: { [DEPLOYMENT_STAGES.BUILDING]: { status: 'success', logs: [] } },
+        logs: [{ seq: 1, timestamp: Date.now(), level: 'info', message: 'Build finished on the server' }]
+      }
+    })
+
+    await deploymentPipeline.rehydrate()
+    const deployment = await finished({ deploymentId: 'dep-inflight' })
+
+    expect(deployment.status).toBe(DEPLOYMENT_STAGES.SUCCESS)
+    expect(deployment.stages[DEPLOYMENT_STAGES.BUILDING].status).toBe('success')
+    expect(deployment.logs.map(log => log.message)).toEqual(expect.arrayContaining([
+      'Re-attached after reload, following progress from the server',
+      'Build finished on the server'
+    ]))
+  })
+})
+
+describe('approval after a reload', () => {
+  const approver = (userId) => ({ user: { userId, name: userId }, hasPermission: () => true })
+
+  afterEach(() => {
+    deploymentPipeline.stopStatusPolling('dep-waiting')
+    deploymentPipeline.activeDeployments.delete('dep-waiting')
+    deploymentPipeline.pendingApprovals.delete('dep-waiting')
+  })
+
+  const rehydrateWaiting = async ({ requestedBy = 'user-2', expiresAt = Date.now() + 60000 } = {}) => {
+    const store = new MemoryDeploymentStore()
+    await store.save({
+      deploymentId: 'dep-waiting',
+      projectId: PROJECT_ID,
+      status: DEPLOYMENT_STAGES.APPROVAL,
+      currentStage: DEPLOYMENT_STAGES.APPROVAL,
+      startTime: Date.now(),
+      stages: { [DEPLOYMENT_STAGES.APPROVAL]: { status: 'running', logs: [] } },
+      logs: [],
+      options: { environment: 'production', requestedBy },
+      approvalSettings: { permission: 'deployments:approve', timeout: 60000 },
+      metadata: { approval: { status: 'pending', permission: 'deployments:approve', requestedAt: Date.now(), expiresAt } }
+    })
+    deploymentPipeline.setStore(store)
+    await deploymentPipeline.rehydrate()
+  }
+
+  it('sends the decision on a re-attached deployment to the server', async () => {
+    const calls = mockApi({ '/deployments/dep-waiting/status': { status: DEPLOYMENT_STAGES.APPROVAL } })
+    await rehydrateWaiting()
+
+    await deploymentPipeline.approveDeployment('dep-waiting', approver('user-1'), 'ship it')
+
+    expect(calls.find(call => call.path === '/deployments/dep-waiting/approval').body).toMatchObject({
+      approved: true,
+      decidedBy: { userId: 'user-1' },
+      comment: 'ship it'
+    })
+    expect(deploymentPipeline.getDeploymentStatus('dep-waiting').metadata.approval.status).toBe('approved')
+  })
+
+  it('still refuses approval by the requester', async () => {
+    mockApi({ '/deployments/dep-waiting/status': { status: DEPLOYMENT_STAGES.APPROVAL } })
+    await rehydrateWaiting({ requestedBy: 'user-1' })
+
+    expect(() => deploymentPipeline.approveDeployment('dep-waiting', approver('user-1'))).toThrow(/someone other than/)
+  })
+
+  it('keeps waiting when the server does not accept the decision', async () => {
+    mockApi({
+      '/deployments/dep-waiting/status': { status: DEPLOYMENT_STAGES.APPROVAL },
+      'POST /deployments/dep-waiting/approval': reply(503, { message: 'unavailable' })
+    })
+    await rehydrateWaiting()
+
+    await expect(deploymentPipeline.approveDeployment('dep-waiting', approver('user-1'))).rejects.toThrow('unavailable')
+
+    expect(deploymentPipeline.getPendingApprovals().map(d => d.deploymentId)).toContain('dep-waiting')
+    expect(deploymentPipeline.pendingApprovals.has('dep-waiting')).toBe(true)
+  })
+
+  it('rejects once the original wait expires', async () => {
+    const calls = mockApi({ '/deployments/dep-waiting/status': { status: DEPLOYMENT_STAGES.APPROVAL } })
+    await rehydrateWaiting({ expiresAt: Date.now() + 10 })
+
+    await waitFor(() => calls.some(call => call.path === '/deployments/dep-waiting/approval'))
+
+    expect(calls.find(call => call.path === '/deployments/dep-waiting/approval').body).toMatchObject({ approved: false, decidedBy: null })
+  })
+})
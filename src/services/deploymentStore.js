@@ -0,0 +1,81 @@
+/**
+ * Deployment Persistence
+ * Storage adapters the pipeline uses to snapshot deployments so logs and the
+ * stage timeline survive a page reload
+ */
+
+const DB_NAME = 'deploygenie'
+const DB_VERSION = 1
+const STORE_NAME = 'deployments'
+
+// IndexedDB-backed store used in the browser
+export class IndexedDBDeploymentStore {
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName
+    this.db = null
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, DB_VERSION)
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'deploymentId' })
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+    return this.db
+  }
+
+  // Run a single request in its own transaction, resolving once it commits
+  async transaction(mode, operation) {
+    const db = await this.open()
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode)
+      const request = operation(tx.objectStore(STORE_NAME))
+      tx.oncomplete = () => resolve(request.result)
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+  }
+
+  save(snapshot) {
+    return this.transaction('readwrite', store => store.put(snapshot))
+  }
+
+  remove(deploymentId) {
+    return this.transaction('readwrite', store => store.delete(deploymentId))
+  }
+
+  loadAll() {
+    return this.transaction('readonly', store => store.getAll())
+  }
+}
+
+// In-memory store for tests and environments without IndexedDB
+export class MemoryDeploymentStore {
+  constructor() {
+    this.snapshots = new Map()
+  }
+
+  async save(snapshot) {
+    this.snapshots.set(snapshot.deploymentId, structuredClone(snapshot))
+  }
+
+  async remove(deploymentId) {
+    this.snapshots.delete(deploymentId)
+  }
+
+  async loadAll() {
+    return Array.from(this.snapshots.values()).map(snapshot => structuredClone(snapshot))
+  }
+}
+
+// Pick the best store available in the current environment
+export const createDeploymentStore = () =>
+  typeof indexedDB !== 'undefined' ? new IndexedDBDeploymentStore() : new MemoryDeploymentStore()
+
+// Plain-data copy of a deployment (drops functions such as pipeline conditions)
+export const snapshotDeployment = (deployment) => JSON.parse(JSON.stringify(deployment))
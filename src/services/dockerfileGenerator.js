@@ -0,0 +1,275 @@
+/**
+ * Dockerfile Generator
+ * Produces the Dockerfile and .dockerignore for a containerized deployment
+ * from the framework settings and what analysis found in the repository.
+ * Images are multi-stage: dependencies are installed in a layer that only
+ * depends on the manifest and lockfile, builds run with dev dependencies,
+ * and the runtime stage runs as a non-root user. Output is deterministic,
+ * so the same input always produces the same files.
+ */
+
+export const DEFAULT_NODE_VERSION = '20'
+export const DEFAULT_PYTHON_VERSION = '3.12'
+
+// Serves static builds as a non-root user
+const STATIC_SERVER_IMAGE = 'nginxinc/nginx-unprivileged:1.27-alpine'
+
+// Package managers: the files their install step needs and how they install
+export const PACKAGE_MANAGERS = {
+  npm: {
+    runtime: 'node',
+    manifest: ['package.json'],
+    lockfile: 'package-lock.json',
+    cache: '/root/.npm',
+    install: 'npm ci',
+    installWithoutLockfile: 'npm install',
+    installProduction: 'npm ci --omit=dev',
+    installProductionWithoutLockfile: 'npm install --omit=dev',
+    prune: 'npm prune --omit=dev'
+  },
+  yarn: {
+    runtime: 'node',
+    manifest: ['package.json'],
+    lockfile: 'yarn.lock',
+    cache: '/usr/local/share/.cache/yarn',
+    corepack: true,
+    install: 'yarn install --frozen-lockfile',
+    installWithoutLockfile: 'yarn install',
+    installProduction: 'yarn install --frozen-lockfile --production',
+    installProductionWithoutLockfile: 'yarn install --production',
+    prune: 'yarn install --frozen-lockfile --production --ignore-scripts --prefer-offline'
+  },
+  pnpm: {
+    runtime: 'node',
+    manifest: ['package.json'],
+    lockfile: 'pnpm-lock.yaml',
+    cache: '/root/.local/share/pnpm/store',
+    corepack: true,
+    install: 'pnpm install --frozen-lockfile',
+    installWithoutLockfile: 'pnpm install',
+    installProduction: 'pnpm install --frozen-lockfile --prod',
+    installProductionWithoutLockfile: 'pnpm install --prod',
+    prune: 'pnpm prune --prod'
+  },
+  pip: {
+    runtime: 'python',
+    manifest: ['requirements.txt'],
+    lockfile: 'requirements.txt',
+    cache: '/root/.cache/pip',
+    install: 'pip install -r requirements.txt'
+  },
+  poetry: {
+    runtime: 'python',
+    manifest: ['pyproject.toml'],
+    lockfile: 'poetry.lock',
+    cache: '/root/.cache/pypoetry',
+    tool: 'poetry',
+    install: 'poetry install --only main --no-root --no-interaction'
+  },
+  pipenv: {
+    runtime: 'python',
+    manifest: ['Pipfile'],
+    lockfile: 'Pipfile.lock',
+    cache: '/root/.cache/pip',
+    tool: 'pipenv',
+    install: 'pipenv requirements > /tmp/requirements.txt && pip install -r /tmp/requirements.txt'
+  }
+}
+
+// Build commands that only install dependencies, which the generated
+// install step already covers
+const INSTALL_COMMAND = /^(npm (install|ci|i)|yarn( install)?|pnpm (install|i)|pip install)\b/
+
+// Package manager for a lockfile found in the repository
+export const detectPackageManager = (lockfile) =>
+  Object.keys(PACKAGE_MANAGERS).find(name => PACKAGE_MANAGERS[name].lockfile === lockfile) || null
+
+// Image tag for a version or range such as "v18", ">=3.10" or "20.11.1"
+export const normalizeVersion = (version, fallback) => {
+  const match = String(version ?? '').match(/\d+(\.\d+){0,2}/)
+  return match ? match[0] : fallback
+}
+
+// Exec form of a command, e.g. ["npm", "start"]
+const toExecForm = (command) => `[${command.trim().split(/\s+/).map(part => JSON.stringify(part)).join(', ')}]`
+
+// Settings the Dockerfile depends on, with defaults filled in
+export const resolveContainerSpec = (config) => {
+  const runtime = config.runtime || 'node'
+  const requested = config.packageManager || detectPackageManager(config.lockfile)
+  const packageManager = PACKAGE_MANAGERS[requested]?.runtime === runtime
+    ? requested
+    : runtime === 'python' ? 'pip' : 'npm'
+
+  return {
+    runtime,
+    packageManager,
+    // Unknown (undefined) assumes the package manager's lockfile is present
+    hasLockfile: config.lockfile === undefined || config.lockfile === PACKAGE_MANAGERS[packageManager].lockfile,
+    version: runtime === 'python'
+      ? normalizeVersion(config.pythonVersion, DEFAULT_PYTHON_VERSION)
+      : normalizeVersion(config.nodeVersion, DEFAULT_NODE_VERSION),
+    buildCommand: config.buildCommand && !INSTALL_COMMAND.test(config.buildCommand) ? config.buildCommand : null,
+    startCommand: config.startCommand,
+    outputDir: config.outputDir || null,
+    static: Boolean(config.static && config.outputDir),
+    port: config.port,
+    healthEndpoint: config.healthEndpoint || null
+  }
+}
+
+// Files to copy before installing dependencies
+const installFiles = (spec) => {
+  const manager = PACKAGE_MANAGERS[spec.packageManager]
+  return [...new Set([...manager.manifest, ...(spec.hasLockfile ? [manager.lockfile] : [])])]
+}
+
+// Dependency install with the package manager's cache mounted. Python
+// environments only ever get production dependencies.
+const installStep = (spec, production = false) => {
+  const manager = PACKAGE_MANAGERS[spec.packageManager]
+  const locked = production ? manager.installProduction : manager.install
+  const unlocked = production ? manager.installProductionWithoutLockfile : manager.installWithoutLockfile
+  return `RUN --mount=type=cache,target=${manager.cache} ${spec.hasLockfile ? locked : unlocked || locked}`
+}
+
+const nginxConfig = (spec) => [
+  'server {',
+  `    listen ${spec.port};`,
+  '    root /usr/share/nginx/html;',
+  ...(spec.healthEndpoint
+    ? [
+        `    location = ${spec.healthEndpoint} {`,
+        '        access_log off;',
+        "        return 200 'ok';",
+        '    }'
+      ]
+    : []),
+  '    location / {',
+  '        try_files $uri $uri/ /index.html;',
+  '    }',
+  '}'
+]
+
+const nodeDockerfile = (spec) => {
+  const manager = PACKAGE_MANAGERS[spec.packageManager]
+  const files = installFiles(spec)
+  const image = `node:${spec.version}-alpine`
+
+  const stages = [[
+    `FROM ${image} AS base`,
+    'WORKDIR /app',
+    ...(manager.corepack ? ['RUN corepack enable'] : [])
+  ]]
+
+  if (!spec.buildCommand) {
+    stages.push([
+      'FROM base AS deps',
+      `COPY ${files.join(' ')} ./`,
+      installStep(spec, true)
+    ], [
+      'FROM base AS runtime',
+      `ENV NODE_ENV=production PORT=${spec.port}`,
+      'COPY --from=deps --chown=node:node /app/node_modules ./node_modules',
+      'COPY --chown=node:node . .',
+      'USER node',
+      `EXPOSE ${spec.port}`,
+      `CMD ${toExecForm(spec.startCommand)}`
+    ])
+    return stages
+  }
+
+  stages.push([
+    'FROM base AS deps',
+    `COPY ${files.join(' ')} ./`,
+    installStep(spec, false)
+  ], [
+    'FROM base AS build',
+    'COPY --from=deps /app/node_modules ./node_modules',
+    'COPY . .',
+    `RUN ${spec.buildCommand}`,
+    ...(spec.static ? [] : [`RUN ${manager.prune}`])
+  ])
+
+  if (spec.static) {
+    stages.push([
+      `FROM ${STATIC_SERVER_IMAGE} AS runtime`,
+      'COPY <<"EOF" /etc/nginx/conf.d/default.conf',
+      ...nginxConfig(spec),
+      'EOF',
+      `COPY --from=build /app/${spec.outputDir} /usr/share/nginx/html`,
+      'USER nginx',
+      `EXPOSE ${spec.port}`
+    ])
+  } else {
+    stages.push([
+      'FROM base AS runtime',
+      `ENV NODE_ENV=production PORT=${spec.port}`,
+      'COPY --from=build --chown=node:node /app ./',
+      'USER node',
+      `EXPOSE ${spec.port}`,
+      `CMD ${toExecForm(spec.startCommand)}`
+    ])
+  }
+
+  return stages
+}
+
+const pythonDockerfile = (spec) => {
+  const manager = PACKAGE_MANAGERS[spec.packageManager]
+  const image = `python:${spec.version}-slim`
+
+  return [[
+    `FROM ${image} AS build`,
+    'ENV PIP_DISABLE_PIP_VERSION_CHECK=1 PYTHONDONTWRITEBYTECODE=1',
+    'WORKDIR /app',
+    ...(manager.tool ? [`RUN --mount=type=cache,target=/root/.cache/pip pip install ${manager.tool}`] : []),
+    'RUN python -m venv /opt/venv',
+    'ENV VIRTUAL_ENV=/opt/venv PATH="/opt/venv/bin:$PATH"',
+    `COPY ${installFiles(spec).join(' ')} ./`,
+    installStep(spec)
+  ], [
+    `FROM ${image} AS runtime`,
+    `ENV PYTHONUNBUFFERED=1 VIRTUAL_ENV=/opt/venv PATH="/opt/venv/bin:$PATH" PORT=${spec.port}`,
+    'WORKDIR /app',
+    'RUN useradd --create-home --uid 10001 app',
+    'COPY --from=build /opt/venv /opt/venv',
+    'COPY --chown=app:app . .',
+    'USER app',
+    `EXPOSE ${spec.port}`,
+    `CMD ${toExecForm(spec.startCommand)}`
+  ]]
+}
+
+// Dockerfile for a framework config (FRAMEWORK_CONFIGS entry plus project
+// overrides) refined by analysis: packageManager, lockfile, nodeVersion,
+// pythonVersion, outputDir and static
+export const generateDockerfile = (config) => {
+  const spec = resolveContainerSpec(config)
+  const stages = spec.runtime === 'python' ? pythonDockerfile(spec) : nodeDockerfile(spec)
+
+  // The syntax line enables cache mounts and heredocs
+  return ['# syntax=docker/dockerfile:1', ...stages.map(stage => stage.join('\n'))].join('\n\n') + '\n'
+}
+
+// .dockerignore keeping dependencies, build output, VCS data and local
+// env files (which may hold secrets) out of the build context
+export const generateDockerignore = (config) => {
+  const spec = resolveContainerSpec(config)
+  const entries = ['.git', '.dockerignore', 'Dockerfile', '.env', '.env.*', '*.log', '.DS_Store', 'coverage']
+
+  if (spec.runtime === 'python') {
+    entries.push('__pycache__', '*.py[cod]', '.venv', 'venv', '.pytest_cache', '.mypy_cache', '*.egg-info')
+  } else {
+    entries.push('node_modules')
+    if (spec.outputDir) entries.push(spec.outputDir)
+  }
+
+  return entries.join('\n') + '\n'
+}
+
+// Dockerfile and .dockerignore together
+export const generateContainerFiles = (config) => ({
+  dockerfile: generateDockerfile(config),
+  dockerignore: generateDockerignore(config)
+})
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest'
+import { generateContainerFiles } from './dockerfileGenerator'
+import { FRAMEWORK_CONFIGS } from './deploymentPipeline'
+
+describe('dockerfile generator', () => {
+  it.each(Object.keys(FRAMEWORK_CONFIGS))('generates the container files for %s', (framework) => {
+    const { dockerfile, dockerignore } = generateContainerFiles(FRAMEWORK_CONFIGS[framework])
+
+    expect(dockerfile).toMatchSnapshot('Dockerfile')
+    expect(dockerignore).toMatchSnapshot('.dockerignore')
+  })
+
+  it('follows what analysis found in the repository', () => {
+    const { dockerfile } = generateContainerFiles({
+      ...FRAMEWORK_CONFIGS.nextjs,
+      lockfile: 'pnpm-lock.yaml',
+      nodeVersion: '>=18.17'
+    })
+
+    expect(dockerfile).toContain('FROM node:18.17-alpine AS base')
+    expect(dockerfile).toContain('RUN corepack enable')
+    expect(dockerfile).toContain('COPY package.json pnpm-lock.yaml ./')
+    expect(dockerfile).toContain('pnpm install --frozen-lockfile')
+  })
+})
@@ -0,0 +1,92 @@
+/**
+ * Environment Variables
+ * Per-environment variables for a project's builds and running application,
+ * stored through the API. Secret values are write-only: once saved they are
+ * never returned to the browser, and the server substitutes them when the
+ * pipeline builds and deploys
+ */
+
+import apiService from './api'
+import deploymentPipeline, { VARIABLE_TARGETS, getProjectDeployOptions } from './deploymentPipeline'
+import { ENV_VAR_NAME } from './repoConfig'
+import { ValidationError } from '../utils/errorHandler'
+import { secretRegistry } from '../utils/redaction'
+
+// Check a variable before saving it. A secret needs a value when it is
+// created; afterwards an empty value keeps the stored one.
+export const validateVariable = ({ name, value, secret = false, target }, { isNew = true } = {}) => {
+  if (!ENV_VAR_NAME.test(name || '')) {
+    throw new ValidationError(`${name || 'Name'} is not a valid environment variable name`, 'name', name)
+  }
+  if (!Object.values(VARIABLE_TARGETS).includes(target)) {
+    throw new ValidationError(`Target must be one of ${Object.values(VARIABLE_TARGETS).join(', ')}`, 'target', target)
+  }
+  if (value !== undefined && typeof value !== 'string') {
+    throw new ValidationError(`${name} must have a string value`, 'value', value)
+  }
+  if (secret && isNew && !value) {
+    throw new ValidationError(`Secret ${name} needs a value`, 'value', null)
+  }
+}
+
+class EnvironmentVariableManager {
+  // Variables of a project environment; secrets have value null. Their
+  // names are remembered so log redaction can mask values assigned to them
+  async getVariables(projectId, environment) {
+    const response = await apiService.getEnvironmentVariables(projectId, environment)
+    const variables = response.variables || []
+    secretRegistry.registerVariables(variables, { projectId, environment })
+    return variables
+  }
+
+  // Create or update a variable. Leave value empty to keep an existing
+  // secret's stored value. With redeploy, the environment is deployed
+  // again so the change takes effect, on behalf of requestedBy; the
+  // deployment is returned.
+  // A secret's new value is remembered for this session so that log
+  // redaction can mask it.
+  async setVariable(projectId, environment, variable, { isNew = true, redeploy = false, requestedBy = null } = {}) {
+    validateVariable(variable, { isNew })
+
+    const { name, value, secret = false, target } = variable
+    const keepValue = secret && !isNew && !value
+    const saved = await apiService.setEnvironmentVariable(projectId, environment, {
+      name,
+      ...(!keepValue && { value: value ?? '' }),
+      secret,
+      target
+    })
+    if (secret && value) {
+      secretRegistry.register(value, { projectId, environment })
+    }
+
+    return {
+      variable: saved,
+      deployment: redeploy ? await this.redeploy(projectId, environment, [name], requestedBy) : null
+    }
+  }
+
+  async deleteVariable(projectId, environment, name, { redeploy = false, requestedBy = null } = {}) {
+    await apiService.deleteEnvironmentVariable(projectId, environment, name)
+
+    return {
+      deployment: redeploy ? await this.redeploy(projectId, environment, [name], requestedBy) : null
+    }
+  }
+
+  // Deploy an environment again after its variables changed
+  async redeploy(projectId, environment, names, requestedBy) {
+    const project = await apiService.request(`/projects/${projectId}`)
+    return deploymentPipeline.startDeployment(projectId, {
+      ...getProjectDeployOptions(project),
+      environment,
+      requestedBy,
+      trigger: { type: 'variables', names }
+    })
+  }
+}
+
+// Create singleton instance
+const environmentVariables = new EnvironmentVariableManager()
+
+export default environmentVariables
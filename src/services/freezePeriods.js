@@ -0,0 +1,112 @@
+/**
+ * Deploy Freeze Periods
+ * Holiday and release freezes per project and environment, stored through
+ * the API so they apply to every user. The pipeline refuses to start
+ * deployments during an active freeze unless an admin overrides it
+ */
+
+import apiService from './api'
+import { ValidationError } from '../utils/errorHandler'
+
+// Permission (checked with AuthContext.hasPermission) that may deploy during a freeze
+export const FREEZE_OVERRIDE_PERMISSION = 'admin'
+
+// Accept timestamps, date strings and Date objects
+export const toTimestamp = (value) => {
+  if (value instanceof Date) return value.getTime()
+  if (typeof value === 'string') return Date.parse(value)
+  return value
+}
+
+// A freeze with a null projectId or environment applies to all of them
+const appliesTo = (freeze, projectId, environment) =>
+  (!freeze.projectId || freeze.projectId === projectId) &&
+  (!freeze.environment || !environment || freeze.environment === environment)
+
+class FreezeCalendar {
+  constructor() {
+    // Last list fetched from the API, for display
+    this.freezes = []
+    this.subscribers = new Set()
+  }
+
+  // Fetch the freezes from the API, replacing the cached list
+  async load() {
+    const { freezes = [] } = await apiService.getFreezes()
+    this.freezes = freezes
+    this.notifySubscribers()
+    return freezes
+  }
+
+  // Declare a freeze from start to end; leave projectId or environment null
+  // to freeze every project or environment
+  async addFreeze({ projectId = null, environment = null, start, end, reason = '' }) {
+    const startTime = toTimestamp(start)
+    const endTime = toTimestamp(end)
+
+    if (!Number.isFinite(startTime)) {
+      throw new ValidationError('Freeze start must be a valid date', 'start', start)
+    }
+    if (!Number.isFinite(endTime) || endTime <= startTime) {
+      throw new ValidationError('Freeze end must be after its start', 'end', end)
+    }
+
+    const freeze = await apiService.createFreeze({
+      projectId,
+      environment,
+      start: startTime,
+      end: endTime,
+      reason
+    })
+
+    this.freezes = [...this.freezes, freeze]
+    this.notifySubscribers()
+
+    return freeze
+  }
+
+  async removeFreeze(freezeId) {
+    await apiService.deleteFreeze(freezeId)
+    this.freezes = this.freezes.filter(freeze => freeze.freezeId !== freezeId)
+    this.notifySubscribers()
+  }
+
+  // Freeze covering a project/environment at a point in time, if any.
+  // Reads the API rather than the cache, so a freeze declared by someone
+  // else applies at once.
+  async findFreeze(projectId, environment, at = Date.now()) {
+    const freezes = await this.load()
+    return freezes.find(freeze =>
+      freeze.start <= at && at < freeze.end && appliesTo(freeze, projectId, environment)
+    ) || null
+  }
+
+  // Cached freezes overlapping [from, to), soonest first; see load()
+  getFreezes({ projectId = null, from = Date.now(), to = Infinity } = {}) {
+    return this.freezes
+      .filter(freeze => freeze.end > from && freeze.start < to)
+      .filter(freeze => !projectId || appliesTo(freeze, projectId, null))
+      .sort((a, b) => a.start - b.start)
+  }
+
+  // Subscribe to freeze changes
+  subscribe(callback) {
+    this.subscribers.add(callback)
+    return () => this.subscribers.delete(callback)
+  }
+
+  notifySubscribers() {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(this.freezes)
+      } catch (error) {
+        console.error('Error in freeze calendar callback:', error)
+      }
+    })
+  }
+}
+
+// Create singleton instance
+const freezeCalendar = new FreezeCalendar()
+
+export default freezeCalendar
@@ -0,0 +1,240 @@
+/**
+ * Live Log Streaming
+ * WebSocket client (VITE_WS_URL) for per-deployment log and stage channels.
+ * Dropped connections are re-opened with exponential backoff, and each
+ * channel is resubscribed from the last sequence number it received, so
+ * entries are neither lost nor repeated across reconnects
+ *
+ * Protocol (JSON messages):
+ *   client -> server  { type: 'auth', token }      first message on every socket
+ *                     { type: 'subscribe', channel, after }
+ *                     { type: 'unsubscribe', channel }
+ *   server -> client  { type: 'event', channel, seq, data }
+ *                     { type: 'error', channel?, message }
+ * Channels are `deployments/<deploymentId>/logs` and `.../stages`. After a
+ * subscribe the server replays the channel's events with seq > after.
+ * The token travels in the first message rather than the URL, which ends up
+ * in proxy and server access logs; the server closes unauthenticated sockets.
+ */
+
+import apiService from './api'
+import { getRetryDelay } from './retryPolicy'
+
+const WS_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:3001'
+const STREAM_PATH = '/ws/deployments'
+
+// WebSocket.OPEN
+const SOCKET_OPEN = 1
+
+export const StreamChannels = {
+  LOGS: 'logs',
+  STAGES: 'stages'
+}
+
+export const ConnectionStates = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting'
+}
+
+// Reconnect delays grow from initialDelay by multiplier up to maxDelay; each
+// is randomized by ±jitter so clients do not reconnect in lockstep
+export const DEFAULT_RECONNECT_POLICY = {
+  initialDelay: 1000,
+  multiplier: 2,
+  maxDelay: 30000,
+  jitter: 0.2
+}
+
+export const getChannelName = (deploymentId, kind) => `deployments/${deploymentId}/${kind}`
+
+class LogStreamClient {
+  constructor() {
+    this.url = WS_URL
+    this.WebSocket = globalThis.WebSocket
+    this.reconnectPolicy = DEFAULT_RECONNECT_POLICY
+
+    this.socket = null
+    this.state = ConnectionStates.IDLE
+    this.reconnectAttempt = 0
+    this.reconnectTimer = null
+
+    // channel name -> { lastSeq, listeners }
+    this.channels = new Map()
+    this.stateSubscribers = new Set()
+  }
+
+  // Override the server URL, WebSocket implementation (e.g. a mock socket
+  // in tests) or reconnect policy
+  configure({ url, WebSocket, reconnect } = {}) {
+    if (url) this.url = url
+    if (WebSocket) this.WebSocket = WebSocket
+    if (reconnect) this.reconnectPolicy = { ...this.reconnectPolicy, ...reconnect }
+  }
+
+  // Follow a deployment's channels. onLog and onStage receive each event's
+  // data with its seq; after ({ logs, stages }) skips events already seen,
+  // e.g. before a page reload. Returns an unsubscribe function.
+  subscribe(deploymentId, { onLog = null, onStage = null, after = {} } = {}) {
+    const unsubscribes = [
+      onLog && this.subscribeChannel(getChannelName(deploymentId, StreamChannels.LOGS), onLog, after.logs),
+      onStage && this.subscribeChannel(getChannelName(deploymentId, StreamChannels.STAGES), onStage, after.stages)
+    ].filter(Boolean)
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe())
+  }
+
+  subscribeChannel(name, listener, after = 0) {
+    let channel = this.channels.get(name)
+    if (!channel) {
+      channel = { lastSeq: after || 0, listeners: new Set() }
+      this.channels.set(name, channel)
+      this.send({ type: 'subscribe', channel: name, after: channel.lastSeq })
+    }
+    channel.listeners.add(listener)
+    this.connect()
+
+    return () => {
+      channel.listeners.delete(listener)
+      if (channel.listeners.size > 0 || this.channels.get(name) !== channel) return
+
+      this.channels.delete(name)
+      this.send({ type: 'unsubscribe', channel: name })
+      if (this.channels.size === 0) {
+        this.disconnect()
+      }
+    }
+  }
+
+  // Open the socket if there is anything to follow
+  connect() {
+    if (this.socket || this.reconnectTimer || this.channels.size === 0 || !this.WebSocket) return
+
+    if (this.state !== ConnectionStates.RECONNECTING) {
+      this.setState(ConnectionStates.CONNECTING)
+    }
+
+    const socket = new this.WebSocket(`${this.url}${STREAM_PATH}`)
+    this.socket = socket
+
+    socket.onopen = () => {
+      this.reconnectAttempt = 0
+      this.setState(ConnectionStates.OPEN)
+
+      // Authenticate before anything else is sent on this socket
+      this.send({ type: 'auth', token: apiService.token })
+
+      // Resume every channel where it left off
+      this.channels.forEach((channel, name) => {
+        this.send({ type: 'subscribe', channel: name, after: channel.lastSeq })
+      })
+    }
+
+    socket.onmessage = (event) => this.handleMessage(event.data)
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return
+      this.socket = null
+      this.scheduleReconnect()
+    }
+
+    // Errors are followed by close, which reconnects
+    socket.onerror = () => {}
+  }
+
+  // Close the socket and stop reconnecting
+  disconnect() {
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = null
+    this.reconnectAttempt = 0
+
+    const socket = this.socket
+    this.socket = null
+    if (socket) socket.close()
+
+    this.setState(ConnectionStates.IDLE)
+  }
+
+  scheduleReconnect() {
+    if (this.channels.size === 0) {
+      this.setState(ConnectionStates.IDLE)
+      return
+    }
+
+    this.reconnectAttempt += 1
+    const { jitter } = this.reconnectPolicy
+    const delay = getRetryDelay(this.reconnectPolicy, this.reconnectAttempt) * (1 + jitter * (Math.random() * 2 - 1))
+
+    this.setState(ConnectionStates.RECONNECTING)
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this.connect()
+    }, delay)
+  }
+
+  send(message) {
+    if (this.socket?.readyState === SOCKET_OPEN) {
+      this.socket.send(JSON.stringify(message))
+    }
+  }
+
+  handleMessage(raw) {
+    let message
+    try {
+      message = JSON.parse(raw)
+    } catch (error) {
+      console.error('Malformed log stream message:', error)
+      return
+    }
+
+    if (message.type === 'error') {
+      console.error(`Log stream error${message.channel ? ` on ${message.channel}` : ''}: ${message.message}`)
+      return
+    }
+
+    const channel = message.type === 'event' && this.channels.get(message.channel)
+    if (!channel || !(message.seq > channel.lastSeq)) return
+
+    channel.lastSeq = message.seq
+    channel.listeners.forEach(listener => {
+      try {
+        listener({ ...message.data, seq: message.seq })
+      } catch (error) {
+        console.error('Error in log stream callback:', error)
+      }
+    })
+  }
+
+  // Last sequence number received on a deployment's channel
+  getLastSeq(deploymentId, kind = StreamChannels.LOGS) {
+    return this.channels.get(getChannelName(deploymentId, kind))?.lastSeq ?? null
+  }
+
+  getState() {
+    return this.state
+  }
+
+  setState(state) {
+    if (state === this.state) return
+    this.state = state
+    this.stateSubscribers.forEach(callback => {
+      try {
+        callback(state)
+      } catch (error) {
+        console.error('Error in log stream state callback:', error)
+      }
+    })
+  }
+
+  // Subscribe to connection state changes
+  onStateChange(callback) {
+    this.stateSubscribers.add(callback)
+    return () => this.stateSubscribers.delete(callback)
+  }
+}
+
+// Create singleton instance
+const logStream = new LogStreamClient()
+
+export default logStream
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import logStream, { ConnectionStates, getChannelName } from './logStream'
+import apiService from './api'
+import { MockSocketServer } from '../test/mockSocket'
+import { waitFor } from '../test/mockApi'
+
+const DEPLOYMENT_ID = 'dep-stream'
+const LOGS = getChannelName(DEPLOYMENT_ID, 'logs')
+
+let server
+// channel -> events the server has published, as { seq, data }
+let published
+
+// Send an event to every open connection subscribed to its channel
+const publish = (channel, data) => {
+  const seq = (published.get(channel)?.length || 0) + 1
+  published.set(channel, [...(published.get(channel) || []), { seq, data }])
+  server.connections
+    .filter(connection => connection.open && connection.subscriptions?.has(channel))
+    .forEach(connection => connection.send({ type: 'event', channel, seq, data }))
+}
+
+beforeEach(() => {
+  server = new MockSocketServer()
+  published = new Map()
+
+  // Replay on subscribe, like the real server
+  server.onMessage = (connection, message) => {
+    if (message.type !== 'subscribe') return
+    connection.subscriptions = new Set([...(connection.subscriptions || []), message.channel])
+    ;(published.get(message.channel) || [])
+      .filter(event => event.seq > message.after)
+      .forEach(event => connection.send({ type: 'event', channel: message.channel, ...event }))
+  }
+
+  apiService.token = 'token-123'
+  logStream.configure({
+    url: 'ws://stream.test',
+    WebSocket: server.WebSocket,
+    reconnect: { initialDelay: 1, maxDelay: 5, jitter: 0 }
+  })
+})
+
+afterEach(() => {
+  logStream.disconnect()
+  logStream.channels.clear()
+  apiService.token = null
+})
+
+describe('log stream', () => {
+  it('sends the token in the first message instead of the URL', async () => {
+    const unsubscribe = logStream.subscribe(DEPLOYMENT_ID, { onLog: () => {} })
+    await waitFor(() => server.latest?.messages.length >= 2)
+    unsubscribe()
+
+    expect(server.latest.url).toBe('ws://stream.test/ws/deployments')
+    expect(server.latest.messages[0]).toEqual({ type: 'auth', token: 'token-123' })
+    expect(server.latest.messages[1]).toEqual({ type: 'subscribe', channel: LOGS, after: 0 })
+  })
+
+  it('reconnects after a drop and resumes from the last received seq', async () => {
+    // Slow enough to publish while disconnected
+    logStream.configure({ reconnect: { initialDelay: 50, maxDelay: 50 } })
+    const received = []
+    const unsubscribe = logStream.subscribe(DEPLOYMENT_ID, { onLog: entry => received.push(entry) })
+    await waitFor(() => logStream.getState() === ConnectionStates.OPEN && server.latest.subscriptions)
+
+    publish(LOGS, { message: 'one' })
+    publish(LOGS, { message: 'two' })
+    server.latest.drop()
+    await waitFor(() => logStream.getState() === ConnectionStates.RECONNECTING)
+
+    // Published while disconnected
+    publish(LOGS, { message: 'three' })
+
+    await waitFor(() => server.connections.length === 2 && received.length === 3)
+    unsubscribe()
+
+    expect(server.latest.messages.slice(0, 2)).toEqual([
+      { type: 'auth', token: 'token-123' },
+      { type: 'subscribe', channel: LOGS, after: 2 }
+    ])
+    expect(received.map(entry => [entry.seq, entry.message])).toEqual([[1, 'one'], [2, 'two'], [3, 'three']])
+  })
+
+  it('ignores events it has already seen', async () => {
+    const received = []
+    const unsubscribe = logStream.subscribe(DEPLOYMENT_ID, { onLog: entry => received.push(entry), after: { logs: 1 } })
+    publish(LOGS, { message: 'before reload' })
+    publish(LOGS, { message: 'after reload' })
+
+    await waitFor(() => received.length === 1)
+    server.latest.send({ type: 'event', channel: LOGS, seq: 2, data: { message: 'after reload' } })
+    unsubscribe()
+
+    expect(received.map(entry => entry.seq)).toEqual([2])
+  })
+
+  it('stops reconnecting once nothing is subscribed', async () => {
+    const unsubscribe = logStream.subscribe(DEPLOYMENT_ID, { onLog: () => {} })
+    await waitFor(() => logStream.getState() === ConnectionStates.OPEN)
+
+    unsubscribe()
+
+    expect(logStream.getState()).toBe(ConnectionStates.IDLE)
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(server.connections).toHaveLength(1)
+  })
+})
@@ -0,0 +1,199 @@
+/**
+ * Pipeline Definition System
+ * Stage registry and helpers for turning a project's declarative pipeline
+ * definition into a dependency graph of executable steps
+ */
+
+import { ValidationError } from '../utils/errorHandler'
+
+// Registry of stage handlers available to pipeline definitions
+export class StageRegistry {
+  constructor() {
+    this.stages = new Map()
+  }
+
+  // Register a stage handler
+  register(name, definition = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new ValidationError('Stage name must be a non-empty string', 'name', name)
+    }
+    if (typeof definition.run !== 'function') {
+      throw new ValidationError(`Stage "${name}" must provide a run function`, 'run', definition.run)
+    }
+
+    this.stages.set(name, {
+      name,
+      description: definition.description || '',
+      builtIn: definition.builtIn === true,
+      when: definition.when,
+      retry: definition.retry,
+      timeout: definition.timeout,
+      // Stages that wait on people rather than work (e.g. approval) are not
+      // bounded by the deployment deadline
+      ignoreDeadline: definition.ignoreDeadline === true,
+      run: definition.run
+    })
+
+    return () => this.unregister(name)
+  }
+
+  // Remove a stage handler (built-in stages cannot be removed)
+  unregister(name) {
+    const stage = this.stages.get(name)
+    if (stage && !stage.builtIn) {
+      this.stages.delete(name)
+    }
+  }
+
+  get(name) {
+    return this.stages.get(name)
+  }
+
+  has(name) {
+    return this.stages.has(name)
+  }
+
+  list() {
+    return Array.from(this.stages.values())
+  }
+}
+
+// Normalize a pipeline definition into step objects
+// Accepts { stages: [...] } where each entry is a stage name or
+// { stage, command, when, dependsOn, retry, timeout } object. Entries without dependsOn
+// depend on the entry before them, so a plain list runs sequentially.
+export const normalizePipeline = (definition, registry) => {
+  const entries = definition?.stages
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ValidationError('Pipeline definition must contain a non-empty stages list', 'pipeline.stages', entries)
+  }
+
+  const seen = new Set()
+
+  const steps = entries.map((entry, index) => {
+    const step = typeof entry === 'string' ? { stage: entry } : { ...entry }
+    const field = `pipeline.stages[${index}]`
+
+    if (!step.stage || typeof step.stage !== 'string') {
+      throw new ValidationError(`${field} must name a stage`, field, entry)
+    }
+    if (seen.has(step.stage)) {
+      throw new ValidationError(`Stage "${step.stage}" appears more than once in the pipeline`, field, step.stage)
+    }
+    if (!registry.has(step.stage) && !step.command) {
+      throw new ValidationError(`Unknown stage "${step.stage}" (custom stages need a command)`, field, step.stage)
+    }
+    if (step.command !== undefined && typeof step.command !== 'string') {
+      throw new ValidationError(`${field}.command must be a string`, `${field}.command`, step.command)
+    }
+    if (step.timeout !== undefined && !(Number.isFinite(step.timeout) && step.timeout > 0)) {
+      throw new ValidationError(`${field}.timeout must be a positive number of milliseconds`, `${field}.timeout`, step.timeout)
+    }
+
+    seen.add(step.stage)
+
+    let dependsOn
+    if (step.dependsOn === undefined) {
+      dependsOn = index > 0 ? [stageName(entries[index - 1])] : []
+    } else {
+      dependsOn = Array.isArray(step.dependsOn) ? step.dependsOn : [step.dependsOn]
+    }
+
+    return {
+      stage: step.stage,
+      command: step.command || null,
+      when: step.when !== undefined ? step.when : registry.get(step.stage)?.when,
+      retry: step.retry || registry.get(step.stage)?.retry || null,
+      timeout: step.timeout || registry.get(step.stage)?.timeout || null,
+      dependsOn
+    }
+  })
+
+  steps.forEach((step, index) => {
+    step.dependsOn.forEach(dependency => {
+      if (!seen.has(dependency)) {
+        throw new ValidationError(
+          `Stage "${step.stage}" depends on "${dependency}", which is not in the pipeline`,
+          `pipeline.stages[${index}].dependsOn`,
+          dependency
+        )
+      }
+    })
+  })
+
+  assertAcyclic(steps)
+
+  return steps
+}
+
+const stageName = (entry) => (typeof entry === 'string' ? entry : entry?.stage)
+
+// Reject dependency cycles, which would leave stages waiting forever
+const assertAcyclic = (steps) => {
+  const remaining = new Map(steps.map(step => [step.stage, new Set(step.dependsOn)]))
+
+  let progressed = true
+  while (progressed) {
+    progressed = false
+    for (const [stage, dependencies] of remaining) {
+      if (dependencies.size === 0) {
+        remaining.delete(stage)
+        remaining.forEach(deps => deps.delete(stage))
+        progressed = true
+      }
+    }
+  }
+
+  if (remaining.size > 0) {
+    const stages = Array.from(remaining.keys())
+    throw new ValidationError(`Pipeline has a dependency cycle between: ${stages.join(', ')}`, 'pipeline.stages', stages)
+  }
+}
+
+// Fields of a deployment that object conditions can match on
+const CONDITION_FIELDS = {
+  branch: deployment => deployment.options.branch,
+  environment: deployment => deployment.options.environment,
+  provider: deployment => deployment.options.provider,
+  framework: deployment => deployment.framework
+}
+
+// Evaluate a stage condition against a deployment
+// Supports named conditions ('runTests', '!runTests'), field matchers
+// ({ environment: 'production', branch: ['main', 'develop'] }),
+// predicate functions and arrays (all must pass)
+export const evaluateCondition = (condition, deployment, namedConditions = {}) => {
+  if (condition === undefined || condition === null) return true
+
+  if (Array.isArray(condition)) {
+    return condition.every(c => evaluateCondition(c, deployment, namedConditions))
+  }
+
+  if (typeof condition === 'function') {
+    return Boolean(condition(deployment))
+  }
+
+  if (typeof condition === 'string') {
+    const negated = condition.startsWith('!')
+    const name = negated ? condition.slice(1) : condition
+    const predicate = namedConditions[name]
+    if (!predicate) {
+      throw new ValidationError(`Unknown pipeline condition: ${name}`, 'when', condition)
+    }
+    const result = Boolean(predicate(deployment))
+    return negated ? !result : result
+  }
+
+  if (typeof condition === 'object') {
+    return Object.entries(condition).every(([field, expected]) => {
+      const getter = CONDITION_FIELDS[field]
+      if (!getter) {
+        throw new ValidationError(`Unknown pipeline condition field: ${field}`, 'when', condition)
+      }
+      const actual = getter(deployment)
+      return Array.isArray(expected) ? expected.includes(actual) : actual === expected
+    })
+  }
+
+  return Boolean(condition)
+}
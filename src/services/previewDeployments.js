@@ -0,0 +1,220 @@
+/**
+ * Pull Request Preview Deployments
+ * Deploys opened and updated pull requests into ephemeral preview-pr-<n>
+ * environments and tears them down when the pull request is closed
+ */
+
+import apiService from './api'
+import deploymentPipeline, { getProjectDeployOptions } from './deploymentPipeline'
+import { ValidationError } from '../utils/errorHandler'
+
+export const PREVIEW_ENVIRONMENT_PREFIX = 'preview-pr-'
+
+// pull_request actions that (re)deploy the preview
+const DEPLOY_ACTIONS = ['opened', 'reopened', 'synchronize']
+
+export const getPreviewEnvironment = (number) => `${PREVIEW_ENVIRONMENT_PREFIX}${number}`
+
+export const isPreviewEnvironment = (environment) =>
+  typeof environment === 'string' && environment.startsWith(PREVIEW_ENVIRONMENT_PREFIX)
+
+class PreviewDeploymentManager {
+  constructor() {
+    // projectId -> Map of PR number -> preview
+    this.previews = new Map()
+    // projectId -> load promise, so each project is fetched once
+    this.loads = new Map()
+    this.subscribers = new Set()
+  }
+
+  // Rebuild a project's previews from the server so they survive a reload:
+  // every preview-pr-<n> environment that still exists, described by its
+  // newest deployment. Webhook events keep them current after that
+  loadPreviews(projectId) {
+    if (!this.loads.has(projectId)) {
+      const load = this.fetchPreviews(projectId).catch(error => {
+        this.loads.delete(projectId)
+        throw error
+      })
+      this.loads.set(projectId, load)
+    }
+    return this.loads.get(projectId)
+  }
+
+  async fetchPreviews(projectId) {
+    const [{ environments = [] }, deployments] = await Promise.all([
+      apiService.getEnvironments(projectId),
+      apiService.getDeployments(projectId)
+    ])
+    const activeIds = new Set(deploymentPipeline.getActiveDeployments().map(d => d.deploymentId))
+
+    environments
+      .map(environment => environment.name)
+      .filter(isPreviewEnvironment)
+      .forEach(environment => {
+        const number = Number(environment.slice(PREVIEW_ENVIRONMENT_PREFIX.length))
+        // An event handled while loading is newer than the server's view
+        if (!number || this.getPreview(projectId, number)) return
+
+        // getDeployments lists newest first
+        const latest = deployments.find(d => d.environment === environment)
+        const preview = {
+          number,
+          title: latest?.preview?.title || null,
+          branch: latest?.branch || null,
+          commitSha: latest?.commitHash || null,
+          environment,
+          deploymentId: latest?.deploymentId || null,
+          status: latest?.status || null,
+          url: latest?.deploymentUrl || null,
+          updatedAt: latest?.createdAt ? new Date(latest.createdAt).getTime() : null
+        }
+
+        this.setPreview(projectId, preview)
+        if (activeIds.has(preview.deploymentId)) {
+          this.watchDeployment(projectId, preview)
+        }
+      })
+
+    return this.getPreviews(projectId)
+  }
+
+  // Handle a normalized pull_request event (see normalizeWebhookEvent in webhooks.js)
+  async handlePullRequestEvent(projectId, event) {
+    const { action, pullRequest } = event || {}
+    if (!pullRequest?.number) {
+      throw new ValidationError('pull_request event is missing the pull request', 'pullRequest', event)
+    }
+
+    await this.loadPreviews(projectId)
+
+    if (DEPLOY_ACTIONS.includes(action)) {
+      return this.deployPreview(projectId, pullRequest, event.deliveryId, event.requestedBy)
+    }
+    if (action === 'closed') {
+      return this.teardownPreview(projectId, pullRequest.number)
+    }
+    return null
+  }
+
+  // Deploy the pull request's head branch into its preview environment
+  // A newer push supersedes a preview deployment that has not started yet
+  async deployPreview(projectId, pullRequest, deliveryId = null, requestedBy = null) {
+    const { number, title, branch, sha } = pullRequest
+    const environment = getPreviewEnvironment(number)
+    const existing = this.getPreview(projectId, number)
+
+    const project = await apiService.request(`/projects/${projectId}`)
+    const deployment = await deploymentPipeline.startDeployment(projectId, {
+      ...getProjectDeployOptions(project),
+      branch,
+      environment,
+      autoRollback: false,
+      supersede: true,
+      preview: { number, title },
+      requestedBy,
+      trigger: {
+        type: 'pull_request',
+        pullRequest: number,
+        deliveryId,
+        commit: { sha }
+      }
+    })
+
+    const preview = {
+      number,
+      title,
+      branch,
+      commitSha: sha,
+      environment,
+      deploymentId: deployment.deploymentId,
+      status: deployment.status,
+      url: existing?.url || null,
+      updatedAt: Date.now()
+    }
+
+    this.setPreview(projectId, preview)
+    this.watchDeployment(projectId, preview)
+
+    return preview
+  }
+
+  // Track the preview's deployment until it finishes, then record its URL
+  watchDeployment(projectId, preview) {
+    const unsubscribe = deploymentPipeline.subscribe(preview.deploymentId, (update) => {
+      const current = this.getPreview(projectId, preview.number)
+      if (current?.deploymentId !== preview.deploymentId) {
+        unsubscribe()
+        return
+      }
+
+      if (update.deployment) {
+        unsubscribe()
+        this.setPreview(projectId, {
+          ...current,
+          status: update.status,
+          url: update.deployment.metadata.deploymentUrl || current.url,
+          updatedAt: Date.now()
+        })
+      } else if (update.stage && update.status === 'running') {
+        this.setPreview(projectId, { ...current, status: update.stage })
+      }
+    })
+  }
+
+  // Cancel any running preview deployment and delete the environment
+  async teardownPreview(projectId, number) {
+    const environment = getPreviewEnvironment(number)
+
+    const running = deploymentPipeline.getActiveDeployments()
+      .filter(d => d.projectId === projectId && d.options.environment === environment)
+    await Promise.all(running.map(d => deploymentPipeline.cancelDeployment(d.deploymentId)))
+
+    await apiService.deleteEnvironment(projectId, environment)
+
+    const preview = this.getPreview(projectId, number)
+    this.previews.get(projectId)?.delete(number)
+    this.notifySubscribers(projectId)
+
+    return preview
+  }
+
+  getPreview(projectId, number) {
+    return this.previews.get(projectId)?.get(number) || null
+  }
+
+  // Previews for a project, newest pull request first
+  getPreviews(projectId) {
+    const previews = this.previews.get(projectId)
+    return previews ? Array.from(previews.values()).sort((a, b) => b.number - a.number) : []
+  }
+
+  setPreview(projectId, preview) {
+    if (!this.previews.has(projectId)) {
+      this.previews.set(projectId, new Map())
+    }
+    this.previews.get(projectId).set(preview.number, preview)
+    this.notifySubscribers(projectId)
+  }
+
+  // Subscribe to preview changes; the callback receives the projectId
+  subscribe(callback) {
+    this.subscribers.add(callback)
+    return () => this.subscribers.delete(callback)
+  }
+
+  notifySubscribers(projectId) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(projectId)
+      } catch (error) {
+        console.error('Error in preview deployment callback:', error)
+      }
+    })
+  }
+}
+
+// Create singleton instance
+const previewDeployments = new PreviewDeploymentManager()
+
+export default previewDeployments
@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import previewDeployments from './previewDeployments'
+import { mockApi } from '../test/mockApi'
+
+const PROJECT_ID = 'proj-previews'
+
+const serverRoutes = () => ({
+  [`GET /projects/${PROJECT_ID}/environments`]: {
+    environments: [{ name: 'production' }, { name: 'preview-pr-7' }]
+  },
+  [`/deployments?projectId=${PROJECT_ID}`]: [
+    { deploymentId: 'dep-new', environment: 'preview-pr-7', branch: 'feature/login', commitHash: 'bbb', status: 'success', deploymentUrl: 'https://pr-7.example.com' },
+    { deploymentId: 'dep-old', environment: 'preview-pr-7', branch: 'feature/login', commitHash: 'aaa', status: 'success' },
+    { deploymentId: 'dep-gone', environment: 'preview-pr-3', branch: 'fix/typo', commitHash: 'ccc', status: 'success' }
+  ]
+})
+
+beforeEach(() => {
+  previewDeployments.previews.clear()
+  previewDeployments.loads.clear()
+})
+
+describe('loadPreviews', () => {
+  it('rebuilds previews from remaining environments and their newest deployment', async () => {
+    mockApi(serverRoutes())
+
+    const previews = await previewDeployments.loadPreviews(PROJECT_ID)
+
+    expect(previews).toEqual([expect.objectContaining({
+      number: 7,
+      branch: 'feature/login',
+      commitSha: 'bbb',
+      deploymentId: 'dep-new',
+      url: 'https://pr-7.example.com'
+    })])
+  })
+
+  it('tears down a preview created before the reload', async () => {
+    const calls = mockApi({
+      ...serverRoutes(),
+      [`DELETE /projects/${PROJECT_ID}/environments/preview-pr-7`]: {}
+    })
+
+    const preview = await previewDeployments.handlePullRequestEvent(PROJECT_ID, {
+      action: 'closed',
+      pullRequest: { number: 7 }
+    })
+
+    expect(preview.deploymentId).toBe('dep-new')
+    expect(calls.some(call => call.method === 'DELETE')).toBe(true)
+    expect(previewDeployments.getPreviews(PROJECT_ID)).toEqual([])
+  })
+})
@@ -0,0 +1,123 @@
+/**
+ * Push-to-Deploy
+ * Maps pushed branches to environments using per-project rules and starts
+ * deployments for matching push events
+ */
+
+import apiService from './api'
+import deploymentPipeline, { getProjectDeployOptions } from './deploymentPipeline'
+import { ValidationError } from '../utils/errorHandler'
+
+// Commit message markers that skip the automatic deployment
+export const SKIP_MARKERS = ['[skip ci]', '[ci skip]', '[skip deploy]', '[deploy skip]', '[no deploy]']
+
+// Example rules offered for new projects
+export const DEFAULT_PUSH_RULES = [
+  { branch: 'main', environment: 'production' },
+  { branch: 'develop', environment: 'staging' }
+]
+
+// Convert a branch glob into a RegExp: '*' matches within one path segment,
+// '**' matches across segments and '?' matches a single character
+export const branchPatternToRegExp = (pattern) => {
+  const source = pattern
+    .split('**')
+    .map(part => part
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]'))
+    .join('.*')
+  return new RegExp(`^${source}$`)
+}
+
+export const matchBranch = (pattern, branch) => branchPatternToRegExp(pattern).test(branch)
+
+// Validate a project's push rules ({ branch, environment, options? })
+export const validatePushRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    throw new ValidationError('Push rules must be a list', 'pushRules', rules)
+  }
+
+  rules.forEach((rule, index) => {
+    const field = `pushRules[${index}]`
+    if (!rule || typeof rule.branch !== 'string' || rule.branch.trim() === '') {
+      throw new ValidationError(`${field}.branch must be a branch name or pattern`, `${field}.branch`, rule?.branch)
+    }
+    if (typeof rule.environment !== 'string' || rule.environment.trim() === '') {
+      throw new ValidationError(`${field}.environment must be an environment name`, `${field}.environment`, rule.environment)
+    }
+  })
+
+  return rules
+}
+
+// First rule whose branch pattern matches, in rule order
+export const findPushRule = (rules, branch) => {
+  const index = rules.findIndex(rule => matchBranch(rule.branch, branch))
+  return index === -1 ? null : { ...rules[index], index }
+}
+
+export const hasSkipMarker = (message = '') => {
+  const lower = message.toLowerCase()
+  return SKIP_MARKERS.some(marker => lower.includes(marker))
+}
+
+class PushDeploymentHandler {
+  // Handle a normalized push event (see normalizeWebhookEvent in webhooks.js)
+  // Resolves to { deployment, rule } or { skipped: reason }
+  async handlePushEvent(projectId, event) {
+    if (!event.branch) {
+      return { skipped: `${event.ref || 'unknown ref'} is not a branch` }
+    }
+    if (event.deleted || !event.commit) {
+      return { skipped: 'branch was deleted' }
+    }
+
+    const { branch, commit } = event
+
+    if (hasSkipMarker(commit.message)) {
+      return { skipped: `commit ${commit.sha.slice(0, 7)} has a skip marker` }
+    }
+
+    const project = await apiService.request(`/projects/${projectId}`)
+    const rules = validatePushRules(project.deployConfig?.pushRules || [])
+    const rule = findPushRule(rules, branch)
+    if (!rule) {
+      return { skipped: `no push rule matches ${branch}` }
+    }
+
+    const deployment = await deploymentPipeline.startDeployment(projectId, {
+      ...getProjectDeployOptions(project),
+      supersede: true,
+      ...rule.options,
+      branch,
+      environment: rule.environment,
+      requestedBy: event.requestedBy,
+      trigger: {
+        type: 'push',
+        rule: { index: rule.index, branch: rule.branch, environment: rule.environment },
+        deliveryId: event.deliveryId || null,
+        commit,
+        pusher: event.pusher
+      }
+    })
+
+    return { deployment, rule }
+  }
+
+  // Validate a project's push rules and save them in its deployConfig through
+  // the API, where handlePushEvent reads them
+  async savePushRules(projectId, rules) {
+    validatePushRules(rules)
+
+    const project = await apiService.request(`/projects/${projectId}`)
+    return apiService.updateProject(projectId, {
+      deployConfig: { ...project.deployConfig, pushRules: rules }
+    })
+  }
+}
+
+// Create singleton instance
+const pushDeployments = new PushDeploymentHandler()
+
+export default pushDeployments
@@ -0,0 +1,145 @@
+/**
+ * Repository Configuration (Pipeline-as-Code)
+ * Parses and validates deploygenie.yml / deploygenie.json files committed
+ * to a project's repository, reporting schema errors with line numbers
+ */
+
+import { parseDocument, LineCounter, isMap } from 'yaml'
+import { ValidationError } from '../utils/errorHandler'
+
+// Config file names looked up in the repository root, in priority order
+export const REPO_CONFIG_FILES = ['deploygenie.yml', 'deploygenie.yaml', 'deploygenie.json']
+
+export const ENV_VAR_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+const expectString = (value) =>
+  typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string'
+
+// Validators for top-level scalar fields; each returns an error message or null
+const FIELD_VALIDATORS = {
+  buildCommand: expectString,
+  startCommand: expectString,
+  testCommand: expectString,
+  installCommand: expectString,
+  outputDir: (value) => (value === null ? null : expectString(value)),
+  port: (value) =>
+    Number.isInteger(value) && value > 0 && value < 65536 ? null : 'must be an integer between 1 and 65535',
+  healthEndpoint: (value) =>
+    typeof value === 'string' && value.startsWith('/') ? null : "must be a path starting with '/'"
+}
+
+const PROVIDER_FIELDS = ['name', 'region', 'registry']
+
+// Parse and validate a repository config file
+// Throws a ValidationError whose details.value lists line-level ValidationErrors
+export const parseRepoConfig = (path, content, providers = {}) => {
+  const lineCounter = new LineCounter()
+  const doc = parseDocument(content, { lineCounter, prettyErrors: true })
+  const errors = []
+
+  const lineOf = (keyPath) => {
+    const node = keyPath.length > 0 ? doc.getIn(keyPath, true) : doc.contents
+    const offset = node?.range?.[0]
+    return offset !== undefined ? lineCounter.linePos(offset).line : null
+  }
+
+  const addError = (keyPath, message, value) => {
+    const field = keyPath.join('.')
+    const line = lineOf(keyPath)
+    errors.push(new ValidationError(`${path}:${line ?? '?'}: ${field ? `${field} ` : ''}${message}`, field, value, line))
+  }
+
+  // Syntax errors stop validation; the document is not usable
+  if (doc.errors.length > 0) {
+    doc.errors.forEach((error) => {
+      const line = error.linePos?.[0]?.line ?? null
+      const message = error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')
+      errors.push(new ValidationError(`${path}:${line ?? '?'}: ${message}`, null, null, line))
+    })
+    throw invalidConfigError(path, errors)
+  }
+
+  if (doc.contents === null) {
+    return {}
+  }
+
+  if (!isMap(doc.contents)) {
+    addError([], 'Configuration must be a mapping of settings', null)
+    throw invalidConfigError(path, errors)
+  }
+
+  const config = doc.toJS()
+
+  Object.entries(config).forEach(([key, value]) => {
+    if (FIELD_VALIDATORS[key]) {
+      const message = FIELD_VALIDATORS[key](value)
+      if (message) addError([key], message, value)
+    } else if (key === 'env') {
+      validateEnv(value, addError)
+    } else if (key === 'provider') {
+      validateProvider(value, providers, addError)
+    } else {
+      addError([key], 'is not a recognised setting', value)
+    }
+  })
+
+  if (errors.length > 0) {
+    throw invalidConfigError(path, errors)
+  }
+
+  return config
+}
+
+// env: { <environment>: { <VAR_NAME>: string | number | boolean } }
+const validateEnv = (env, addError) => {
+  if (!env || typeof env !== 'object' || Array.isArray(env)) {
+    addError(['env'], 'must map environment names to variables', env)
+    return
+  }
+
+  Object.entries(env).forEach(([environment, vars]) => {
+    if (!vars || typeof vars !== 'object' || Array.isArray(vars)) {
+      addError(['env', environment], 'must be a mapping of variable names to values', vars)
+      return
+    }
+
+    Object.entries(vars).forEach(([name, value]) => {
+      if (!ENV_VAR_NAME.test(name)) {
+        addError(['env', environment, name], 'is not a valid environment variable name', name)
+      } else if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        addError(['env', environment, name], 'must be a string, number or boolean', value)
+      }
+    })
+  })
+}
+
+// provider: { name, region, registry }
+const validateProvider = (provider, providers, addError) => {
+  if (!provider || typeof provider !== 'object' || Array.isArray(provider)) {
+    addError(['provider'], 'must be a mapping of provider settings', provider)
+    return
+  }
+
+  Object.entries(provider).forEach(([key, value]) => {
+    if (!PROVIDER_FIELDS.includes(key)) {
+      addError(['provider', key], 'is not a recognised provider setting', value)
+    } else if (expectString(value)) {
+      addError(['provider', key], expectString(value), value)
+    }
+  })
+
+  if (typeof provider.name === 'string' && !providers[provider.name]) {
+    addError(['provider', 'name'], `must be one of: ${Object.keys(providers).join(', ')}`, provider.name)
+    return
+  }
+
+  const regions = providers[provider.name]?.regions
+  if (regions && typeof provider.region === 'string' && !regions.includes(provider.region)) {
+    addError(['provider', 'region'], `is not available for ${provider.name} (${regions.join(', ')})`, provider.region)
+  }
+}
+
+const invalidConfigError = (path, errors) => {
+  const summary = `${path} is invalid (${errors.length} error${errors.length === 1 ? '' : 's'})`
+  return new ValidationError(summary, path, errors)
+}
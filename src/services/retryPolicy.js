@@ -0,0 +1,105 @@
+/**
+ * Stage Retry Policies
+ * Failure classification and exponential backoff for deployment pipeline stages
+ */
+
+import { ErrorTypes, DeploymentFailureReasons, ValidationError } from '../utils/errorHandler'
+
+// Failure classes a retry policy can opt into
+export const FAILURE_CLASSES = {
+  NETWORK: 'network',
+  SERVER: 'server',
+  RATE_LIMIT: 'rate_limit',
+  TIMEOUT: 'timeout',
+  CLIENT: 'client',
+  VALIDATION: 'validation',
+  UNKNOWN: 'unknown'
+}
+
+// Network-class failures are retried by default
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  initialDelay: 1000,
+  multiplier: 2,
+  maxDelay: 30000,
+  retryOn: [
+    FAILURE_CLASSES.NETWORK,
+    FAILURE_CLASSES.SERVER,
+    FAILURE_CLASSES.RATE_LIMIT,
+    FAILURE_CLASSES.TIMEOUT
+  ]
+}
+
+// Classify an error thrown by a stage
+export const classifyError = (error) => {
+  if (!error) return FAILURE_CLASSES.UNKNOWN
+
+  if (error.type === ErrorTypes.VALIDATION) {
+    return FAILURE_CLASSES.VALIDATION
+  }
+
+  if (error.details?.reason === DeploymentFailureReasons.TIMEOUT) {
+    return FAILURE_CLASSES.TIMEOUT
+  }
+
+  const status = error.details?.status ?? error.status ?? null
+
+  if (error.type === ErrorTypes.NETWORK) {
+    if (status === null) return FAILURE_CLASSES.NETWORK
+    if (status === 429) return FAILURE_CLASSES.RATE_LIMIT
+    if (status === 408 || status === 504) return FAILURE_CLASSES.TIMEOUT
+    return FAILURE_CLASSES.SERVER
+  }
+
+  if (status !== null && status >= 400 && status < 500) {
+    return FAILURE_CLASSES.CLIENT
+  }
+
+  return FAILURE_CLASSES.UNKNOWN
+}
+
+// Merge retry policies; later policies override earlier ones
+export const resolveRetryPolicy = (...policies) => {
+  const policy = policies.reduce((merged, next) => (next ? { ...merged, ...next } : merged), DEFAULT_RETRY_POLICY)
+
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new ValidationError('Retry maxAttempts must be a positive integer', 'retry.maxAttempts', policy.maxAttempts)
+  }
+  if (!Array.isArray(policy.retryOn)) {
+    throw new ValidationError('Retry retryOn must be a list of failure classes', 'retry.retryOn', policy.retryOn)
+  }
+
+  const unknown = policy.retryOn.filter(errorClass => !Object.values(FAILURE_CLASSES).includes(errorClass))
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown failure classes in retryOn: ${unknown.join(', ')}`, 'retry.retryOn', unknown)
+  }
+
+  return policy
+}
+
+// Whether a failed attempt should be retried under the policy
+export const shouldRetry = (policy, attempt, errorClass) =>
+  attempt < policy.maxAttempts && policy.retryOn.includes(errorClass)
+
+// Exponential backoff delay before the next attempt
+export const getRetryDelay = (policy, attempt) =>
+  Math.min(policy.initialDelay * Math.pow(policy.multiplier, attempt - 1), policy.maxDelay)
+
+// Wait for a delay (e.g. before retrying), resolving early if the signal is aborted
+export const wait = (ms, signal) => new Promise(resolve => {
+  if (signal?.aborted) {
+    resolve()
+    return
+  }
+
+  const onAbort = () => {
+    clearTimeout(timeoutId)
+    resolve()
+  }
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort)
+    resolve()
+  }, ms)
+
+  signal?.addEventListener('abort', onAbort, { once: true })
+})
@@ -0,0 +1,221 @@
+/**
+ * Scheduled Deployments
+ * Starts deployments at a chosen time, such as a 2am maintenance window.
+ * Jobs are stored through the API and armed in every open tab; a tab claims
+ * a due job from the server before starting it, so each job runs once
+ */
+
+import apiService from './api'
+import deploymentPipeline, { getProjectDeployOptions } from './deploymentPipeline'
+import freezeCalendar, { toTimestamp } from './freezePeriods'
+import { DeploymentFailureReasons, ValidationError } from '../utils/errorHandler'
+
+export const ScheduleStatus = {
+  SCHEDULED: 'scheduled',
+  CLAIMED: 'claimed',
+  STARTED: 'started',
+  MISSED: 'missed',
+  BLOCKED: 'blocked',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+}
+
+// A job whose time passed while no tab was open still starts within the
+// grace period; after that it is marked missed instead of deploying late
+export const DEFAULT_GRACE_PERIOD = 15 * 60 * 1000 // 15 minutes
+
+// Finished jobs older than this are not shown
+const FINISHED_RETENTION = 7 * 24 * 60 * 60 * 1000 // 7 days
+
+// Jobs are re-read this often to pick up changes made in other tabs
+const SYNC_INTERVAL = 60 * 1000
+
+// setTimeout cannot wait longer than this; longer delays are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1
+
+class DeploymentScheduler {
+  constructor() {
+    this.jobs = []
+    this.timers = new Map()
+    this.subscribers = new Set()
+    this.syncTimer = null
+  }
+
+  // Load jobs from the API and keep them in sync; called once on startup.
+  // Jobs that came due while no tab was open run now (or are missed).
+  async restore() {
+    if (this.syncTimer) return
+
+    this.syncTimer = setInterval(() => {
+      this.load().catch(error => console.error('Failed to sync scheduled deployments:', error))
+    }, SYNC_INTERVAL)
+    await this.load()
+  }
+
+  // Replace the jobs with the API's, arming new scheduled jobs and
+  // disarming those cancelled or claimed elsewhere
+  async load() {
+    const cutoff = Date.now() - FINISHED_RETENTION
+    const { jobs = [] } = await apiService.getSchedules()
+    this.jobs = jobs.filter(job => job.status === ScheduleStatus.SCHEDULED || job.runAt > cutoff)
+
+    this.timers.forEach((timer, scheduleId) => {
+      if (!this.jobs.some(job => job.scheduleId === scheduleId && job.status === ScheduleStatus.SCHEDULED)) {
+        this.disarm(scheduleId)
+      }
+    })
+    this.jobs
+      .filter(job => job.status === ScheduleStatus.SCHEDULED && !this.timers.has(job.scheduleId))
+      .forEach(job => this.arm(job))
+
+    this.notifySubscribers()
+  }
+
+  // Replace a job with the API's copy of it
+  update(job) {
+    this.jobs = this.jobs.map(j => (j.scheduleId === job.scheduleId ? job : j))
+    this.notifySubscribers()
+    return job
+  }
+
+  // Schedule a deployment; options are passed to startDeployment and must be
+  // JSON-serializable. Times inside a known freeze are refused up front.
+  // requestedBy (who scheduled it) is recorded on the job and the deployment.
+  async schedule(projectId, runAt, options = {}, { gracePeriod = DEFAULT_GRACE_PERIOD, requestedBy = null } = {}) {
+    const runAtTime = toTimestamp(runAt)
+    if (!Number.isFinite(runAtTime) || runAtTime <= Date.now()) {
+      throw new ValidationError('Scheduled time must be in the future', 'runAt', runAt)
+    }
+
+    const freeze = await freezeCalendar.findFreeze(projectId, options.environment || 'production', runAtTime)
+    if (freeze) {
+      throw new ValidationError(
+        `Scheduled time falls inside a freeze${freeze.reason ? ` (${freeze.reason})` : ''}`,
+        'runAt',
+        runAt
+      )
+    }
+
+    const job = await apiService.createSchedule({
+      projectId,
+      runAt: runAtTime,
+      options,
+      gracePeriod,
+      requestedBy
+    })
+
+    this.jobs = [...this.jobs, job]
+    this.arm(job)
+    this.notifySubscribers()
+
+    return job
+  }
+
+  // Cancel a job that has not been claimed yet
+  async cancel(scheduleId) {
+    const job = this.jobs.find(j => j.scheduleId === scheduleId)
+    if (!job || job.status !== ScheduleStatus.SCHEDULED) return false
+
+    this.update(await apiService.cancelSchedule(scheduleId))
+    this.disarm(scheduleId)
+
+    return true
+  }
+
+  arm(job) {
+    const delay = Math.max(job.runAt - Date.now(), 0)
+
+    this.timers.set(job.scheduleId, setTimeout(() => {
+      if (delay > MAX_TIMER_DELAY) {
+        this.arm(job)
+      } else {
+        this.run(job)
+      }
+    }, Math.min(delay, MAX_TIMER_DELAY)))
+  }
+
+  disarm(scheduleId) {
+    clearTimeout(this.timers.get(scheduleId))
+    this.timers.delete(scheduleId)
+  }
+
+  // Claim a due job and start it. Another tab that claimed it first wins;
+  // a freeze that began after scheduling blocks it.
+  async run(job) {
+    this.timers.delete(job.scheduleId)
+    if (job.status !== ScheduleStatus.SCHEDULED) return
+
+    let claimed
+    try {
+      claimed = this.update(await apiService.claimSchedule(job.scheduleId))
+    } catch (error) {
+      if (error.status === 409) {
+        await this.load().catch(() => {})
+      } else {
+        console.error(`Failed to claim scheduled deployment ${job.scheduleId}:`, error)
+      }
+      return
+    }
+
+    let outcome
+    if (Date.now() - claimed.runAt > claimed.gracePeriod) {
+      outcome = {
+        status: ScheduleStatus.MISSED,
+        error: `Not started within ${claimed.gracePeriod}ms of the scheduled time`
+      }
+    } else {
+      try {
+        const project = await apiService.request(`/projects/${claimed.projectId}`)
+        const deployment = await deploymentPipeline.startDeployment(claimed.projectId, {
+          ...getProjectDeployOptions(project),
+          ...claimed.options,
+          requestedBy: claimed.requestedBy,
+          trigger: { type: 'schedule', scheduleId: claimed.scheduleId, runAt: claimed.runAt }
+        })
+        outcome = { status: ScheduleStatus.STARTED, deploymentId: deployment.deploymentId }
+      } catch (error) {
+        outcome = {
+          status: error.details?.reason === DeploymentFailureReasons.FROZEN
+            ? ScheduleStatus.BLOCKED
+            : ScheduleStatus.FAILED,
+          error: error.message
+        }
+      }
+    }
+
+    try {
+      this.update(await apiService.updateSchedule(claimed.scheduleId, outcome))
+    } catch (error) {
+      console.error(`Failed to record the outcome of scheduled deployment ${claimed.scheduleId}:`, error)
+      this.update({ ...claimed, ...outcome })
+    }
+  }
+
+  // Jobs scheduled within [from, to), soonest first
+  getJobs({ projectId = null, from = 0, to = Infinity } = {}) {
+    return this.jobs
+      .filter(job => job.runAt >= from && job.runAt < to && (!projectId || job.projectId === projectId))
+      .sort((a, b) => a.runAt - b.runAt)
+  }
+
+  // Subscribe to job changes
+  subscribe(callback) {
+    this.subscribers.add(callback)
+    return () => this.subscribers.delete(callback)
+  }
+
+  notifySubscribers() {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(this.jobs)
+      } catch (error) {
+        console.error('Error in scheduled deployment callback:', error)
+      }
+    })
+  }
+}
+
+// Create singleton instance
+const scheduledDeployments = new DeploymentScheduler()
+
+export default scheduledDeployments
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import scheduledDeployments, { ScheduleStatus } from './scheduledDeployments'
+import deploymentPipeline from './deploymentPipeline'
+import { mockApi, reply } from '../test/mockApi'
+
+const PROJECT_ID = 'proj-scheduled'
+
+const dueJob = (overrides = {}) => ({
+  scheduleId: 'sched-1',
+  projectId: PROJECT_ID,
+  runAt: Date.now() - 1000,
+  options: { environment: 'production' },
+  gracePeriod: 60000,
+  requestedBy: 'user-1',
+  status: ScheduleStatus.SCHEDULED,
+  ...overrides
+})
+
+beforeEach(() => {
+  scheduledDeployments.jobs = [dueJob()]
+})
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('scheduled deployment runs', () => {
+  it('claims a due job before starting it and records the outcome', async () => {
+    const calls = mockApi({
+      'POST /schedules/sched-1/claim': dueJob({ status: ScheduleStatus.CLAIMED }),
+      'PATCH /schedules/sched-1': ({ body }) => dueJob(body),
+      [`/projects/${PROJECT_ID}`]: { projectId: PROJECT_ID, deployConfig: { provider: 'aws' } }
+    })
+    const start = vi.spyOn(deploymentPipeline, 'startDeployment').mockResolvedValue({ deploymentId: 'dep-scheduled' })
+
+    await scheduledDeployments.run(dueJob())
+
+    expect(calls.map(call => `${call.method} ${call.path}`)).toEqual([
+      'POST /schedules/sched-1/claim',
+      `GET /projects/${PROJECT_ID}`,
+      'PATCH /schedules/sched-1'
+    ])
+    expect(start).toHaveBeenCalledWith(PROJECT_ID, expect.objectContaining({ provider: 'aws', requestedBy: 'user-1' }))
+    expect(scheduledDeployments.getJobs()[0]).toMatchObject({ status: ScheduleStatus.STARTED, deploymentId: 'dep-scheduled' })
+  })
+
+  it('does not start a job another tab claimed first', async () => {
+    mockApi({
+      'POST /schedules/sched-1/claim': reply(409, { message: 'Already claimed' }),
+      '/schedules': { jobs: [dueJob({ status: ScheduleStatus.STARTED, deploymentId: 'dep-elsewhere' })] }
+    })
+    const start = vi.spyOn(deploymentPipeline, 'startDeployment')
+
+    await scheduledDeployments.run(dueJob())
+
+    expect(start).not.toHaveBeenCalled()
+    expect(scheduledDeployments.getJobs()[0]).toMatchObject({ status: ScheduleStatus.STARTED, deploymentId: 'dep-elsewhere' })
+  })
+
+  it('marks a claimed job missed once its grace period has passed', async () => {
+    const late = dueJob({ runAt: Date.now() - 120000 })
+    mockApi({
+      'POST /schedules/sched-1/claim': { ...late, status: ScheduleStatus.CLAIMED },
+      'PATCH /schedules/sched-1': ({ body }) => ({ ...late, ...body })
+    })
+    const start = vi.spyOn(deploymentPipeline, 'startDeployment')
+
+    await scheduledDeployments.run(late)
+
+    expect(start).not.toHaveBeenCalled()
+    expect(scheduledDeployments.getJobs()[0].status).toBe(ScheduleStatus.MISSED)
+  })
+})
@@ -0,0 +1,312 @@
+/**
+ * GitHub Webhook Ingestion
+ * Verifies X-Hub-Signature-256 signatures with a per-project secret, rejects
+ * replayed deliveries and normalizes push, pull_request and release events
+ * into deployment triggers. There is no HTTP endpoint in this app: receive()
+ * is the entry point for whatever forwards GitHub's requests to it
+ */
+
+import apiService from './api'
+import deploymentPipeline, { getProjectDeployOptions } from './deploymentPipeline'
+import pushDeployments from './pushDeployments'
+import previewDeployments from './previewDeployments'
+import { AuthenticationError, ValidationError } from '../utils/errorHandler'
+import { secretRegistry } from '../utils/redaction'
+
+export const SIGNATURE_HEADER = 'x-hub-signature-256'
+export const EVENT_HEADER = 'x-github-event'
+export const DELIVERY_HEADER = 'x-github-delivery'
+
+export const DeliveryStatus = {
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  SKIPPED: 'skipped',
+  IGNORED: 'ignored',
+  FAILED: 'failed'
+}
+
+// Delivery IDs are remembered for replay protection for this long
+const REPLAY_WINDOW = 24 * 60 * 60 * 1000
+
+// A delivery ID seen with one of these statuses is a replay; failed deliveries
+// may be delivered again (GitHub redeliveries reuse the delivery ID)
+const ACCEPTED_STATUSES = [
+  DeliveryStatus.PROCESSING,
+  DeliveryStatus.PROCESSED,
+  DeliveryStatus.SKIPPED,
+  DeliveryStatus.IGNORED
+]
+
+// Case-insensitive header lookup for Headers instances and plain objects
+const getHeader = (headers, name) => {
+  if (!headers) return null
+  if (typeof headers.get === 'function') return headers.get(name)
+
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name)
+  return key ? headers[key] : null
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('')
+
+// Compare without short-circuiting so timing does not leak matching prefixes
+const timingSafeEqual = (a, b) => {
+  if (a.length !== b.length) return false
+
+  let diff = 0
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return diff === 0
+}
+
+// 'sha256=<hex>' signature of a raw request body
+export const signPayload = async (secret, rawBody) => {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(rawBody))
+  return `sha256=${toHex(signature)}`
+}
+
+export const verifySignature = async (secret, rawBody, signature) => {
+  if (!secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+    return false
+  }
+  return timingSafeEqual(await signPayload(secret, rawBody), signature)
+}
+
+const normalizeCommit = (commit) => commit && {
+  sha: commit.id,
+  message: commit.message,
+  author: commit.author?.username || commit.author?.name || null
+}
+
+// Turn a GitHub event payload into a deployment trigger
+// Returns null for events and actions that never trigger deployments
+// sender is the GitHub login whose action caused the event; the receiver
+// maps it to an app user for requestedBy
+export const normalizeWebhookEvent = (event, payload, deliveryId = null) => {
+  const base = {
+    type: event,
+    deliveryId,
+    repository: payload.repository?.full_name || null,
+    sender: payload.sender?.login || null
+  }
+
+  switch (event) {
+    case 'push': {
+      const ref = payload.ref || ''
+      return {
+        ...base,
+        ref,
+        branch: ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null,
+        deleted: Boolean(payload.deleted),
+        commit: normalizeCommit(payload.head_commit),
+        pusher: payload.pusher?.name || null
+      }
+    }
+
+    case 'pull_request': {
+      const pullRequest = payload.pull_request
+      return {
+        ...base,
+        action: payload.action,
+        pullRequest: pullRequest && {
+          number: pullRequest.number,
+          title: pullRequest.title,
+          branch: pullRequest.head?.ref,
+          sha: pullRequest.head?.sha || null,
+          baseBranch: pullRequest.base?.ref || null
+        }
+      }
+    }
+
+    case 'release': {
+      const release = payload.release
+      if (payload.action !== 'published' || !release) return null
+      return {
+        ...base,
+        action: payload.action,
+        release: {
+          tag: release.tag_name,
+          name: release.name || release.tag_name,
+          prerelease: Boolean(release.prerelease),
+          target: release.target_commitish || null
+        }
+      }
+    }
+
+    default:
+      return null
+  }
+}
+
+class WebhookReceiver {
+  constructor() {
+    this.secrets = new Map()
+    // deliveryId -> { status, receivedAt } for replay protection
+    this.seenDeliveries = new Map()
+
+    // Trigger type -> handler(projectId, trigger)
+    this.handlers = {
+      push: (projectId, trigger) => pushDeployments.handlePushEvent(projectId, trigger),
+      pull_request: (projectId, trigger) => previewDeployments.handlePullRequestEvent(projectId, trigger),
+      release: (projectId, trigger) => this.deployRelease(projectId, trigger)
+    }
+  }
+
+  setSecret(projectId, secret) {
+    this.secrets.set(projectId, secret)
+    secretRegistry.register(secret, { projectId })
+  }
+
+  async getSecret(projectId) {
+    if (!this.secrets.has(projectId)) {
+      const { secret } = await apiService.getWebhookSecret(projectId)
+      this.setSecret(projectId, secret)
+    }
+    return this.secrets.get(projectId)
+  }
+
+  // Receive a webhook request for a project
+  // rawBody must be the unparsed request body the signature was computed over
+  // Resolves to the delivery's outcome; rejected deliveries throw
+  async receive(projectId, { headers, body: rawBody }) {
+    const delivery = {
+      deliveryId: getHeader(headers, DELIVERY_HEADER),
+      projectId,
+      event: getHeader(headers, EVENT_HEADER),
+      rawBody,
+      receivedAt: new Date().toISOString()
+    }
+
+    if (!delivery.deliveryId || !delivery.event) {
+      throw new ValidationError('Webhook request is missing GitHub delivery headers', 'headers', null)
+    }
+
+    const secret = await this.getSecret(projectId)
+    if (!await verifySignature(secret, rawBody, getHeader(headers, SIGNATURE_HEADER))) {
+      throw new AuthenticationError('Webhook signature does not match', 'webhook')
+    }
+
+    this.reserveDelivery(delivery.deliveryId)
+
+    return this.process(delivery)
+  }
+
+  // Parse, normalize and dispatch a verified delivery
+  async process(delivery) {
+    let trigger = null
+
+    try {
+      const payload = JSON.parse(delivery.rawBody)
+      trigger = normalizeWebhookEvent(delivery.event, payload, delivery.deliveryId)
+
+      const handler = trigger && this.handlers[trigger.type]
+      if (!handler) {
+        return this.settleDelivery({
+          ...delivery,
+          trigger,
+          status: DeliveryStatus.IGNORED,
+          reason: `${delivery.event}${payload.action ? `.${payload.action}` : ''} does not trigger deployments`
+        })
+      }
+
+      trigger.requestedBy = await this.resolveRequester(trigger.sender)
+      const result = await handler(delivery.projectId, trigger)
+      return this.settleDelivery({
+        ...delivery,
+        trigger,
+        status: result?.skipped ? DeliveryStatus.SKIPPED : DeliveryStatus.PROCESSED,
+        reason: result?.skipped || null,
+        deploymentId: result?.deployment?.deploymentId || result?.deploymentId || null
+      })
+    } catch (error) {
+      return this.settleDelivery({
+        ...delivery,
+        trigger,
+        status: DeliveryStatus.FAILED,
+        reason: error.message
+      })
+    }
+  }
+
+  // userId of the app user who connected the sender's GitHub account, or
+  // null when nobody has. Deployments without a requester cannot be
+  // approved, so an unknown GitHub account cannot satisfy an approval gate
+  // that its own push or release triggered.
+  async resolveRequester(login) {
+    if (!login) return null
+
+    try {
+      const user = await apiService.getUserByGitHubLogin(login)
+      return user.userId || user.id || null
+    } catch (error) {
+      if (error.status === 404) return null
+      throw error
+    }
+  }
+
+  // Deploy a published release's tag to the project's release environment
+  async deployRelease(projectId, trigger) {
+    const { release } = trigger
+    if (release.prerelease) {
+      return { skipped: `${release.tag} is a prerelease` }
+    }
+
+    const project = await apiService.request(`/projects/${projectId}`)
+    const environment = project.deployConfig?.releaseEnvironment || 'production'
+
+    const deployment = await deploymentPipeline.startDeployment(projectId, {
+      ...getProjectDeployOptions(project),
+      branch: release.tag,
+      environment,
+      requestedBy: trigger.requestedBy,
+      trigger: {
+        type: 'release',
+        deliveryId: trigger.deliveryId,
+        sender: trigger.sender,
+        release: { tag: release.tag, name: release.name },
+        commit: { sha: null }
+      }
+    })
+
+    return { deployment }
+  }
+
+  // Reject a replayed delivery ID, otherwise mark it processing until
+  // settleDelivery stores the outcome. Checking and marking happen without
+  // awaiting, so a duplicate arriving mid-dispatch is rejected.
+  reserveDelivery(deliveryId) {
+    const now = Date.now()
+    this.seenDeliveries.forEach((seen, id) => {
+      if (now - seen.receivedAt > REPLAY_WINDOW) this.seenDeliveries.delete(id)
+    })
+
+    const seen = this.seenDeliveries.get(deliveryId)
+    if (seen && ACCEPTED_STATUSES.includes(seen.status)) {
+      throw new ValidationError(`Delivery ${deliveryId} was already received`, 'deliveryId', deliveryId)
+    }
+
+    this.seenDeliveries.set(deliveryId, { status: DeliveryStatus.PROCESSING, receivedAt: now })
+  }
+
+  // Remember the outcome so a later delivery with the same ID is judged by it
+  settleDelivery(delivery) {
+    const { rawBody, ...outcome } = delivery
+    this.seenDeliveries.set(delivery.deliveryId, { status: delivery.status, receivedAt: Date.now() })
+    return outcome
+  }
+}
+
+// Create singleton instance
+const webhookReceiver = new WebhookReceiver()
+
+export default webhookReceiver
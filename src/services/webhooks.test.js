@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import webhookReceiver, { signPayload, verifySignature, normalizeWebhookEvent, DeliveryStatus } from './webhooks'
+import { AuthenticationError, ValidationError } from '../utils/errorHandler'
+import { mockApi, reply } from '../test/mockApi'
+import push from '../../fixtures/webhooks/push.json'
+import pushSkip from '../../fixtures/webhooks/push.skip.json'
+import pullRequestOpened from '../../fixtures/webhooks/pull_request.opened.json'
+import pullRequestClosed from '../../fixtures/webhooks/pull_request.closed.json'
+import releasePublished from '../../fixtures/webhooks/release.published.json'
+
+const PROJECT_ID = 'proj-webhooks'
+const SECRET = 'webhook-test-secret'
+
+// A signed GitHub request for a recorded payload
+const signedRequest = async (event, payload, deliveryId = crypto.randomUUID()) => {
+  const body = JSON.stringify(payload)
+  return {
+    headers: {
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': deliveryId,
+      'X-Hub-Signature-256': await signPayload(SECRET, body)
+    },
+    body
+  }
+}
+
+describe('verifySignature', () => {
+  it('accepts a payload signed with the project secret', async () => {
+    const body = JSON.stringify(push)
+    expect(await verifySignature(SECRET, body, await signPayload(SECRET, body))).toBe(true)
+  })
+
+  it('rejects a tampered body, another secret or a malformed header', async () => {
+    const body = JSON.stringify(push)
+    const signature = await signPayload(SECRET, body)
+
+    expect(await verifySignature(SECRET, body.replace('main', 'prod'), signature)).toBe(false)
+    expect(await verifySignature('another-secret', body, signature)).toBe(false)
+    expect(await verifySignature(SECRET, body, signature.slice('sha256='.length))).toBe(false)
+    expect(await verifySignature(SECRET, body, undefined)).toBe(false)
+  })
+})
+
+describe('normalizeWebhookEvent', () => {
+  it('normalizes a push to its branch and head commit', () => {
+    expect(normalizeWebhookEvent('push', push, 'delivery-1')).toMatchObject({
+      type: 'push',
+      deliveryId: 'delivery-1',
+      repository: 'octo-org/storefront',
+      sender: 'monalisa',
+      branch: 'main',
+      deleted: false,
+      commit: { sha: '0d1a26e67d8f5eaf1f6ba5c57fc3c7d91ac0fd1c', message: 'Add checkout page', author: 'monalisa' }
+    })
+    expect(normalizeWebhookEvent('push', pushSkip).commit.message).toBe('Update README [skip ci]')
+  })
+
+  it('normalizes opened and closed pull requests', () => {
+    const pullRequest = {
+      number: 42,
+      title: 'Redesign product cards',
+      branch: 'feature/product-cards',
+      sha: '9c4b2e7f1a3d5c8e0b6f4a2d9e7c5b3a1f8d6e4c',
+      baseBranch: 'main'
+    }
+
+    expect(normalizeWebhookEvent('pull_request', pullRequestOpened)).toMatchObject({ action: 'opened', pullRequest })
+    expect(normalizeWebhookEvent('pull_request', pullRequestClosed)).toMatchObject({ action: 'closed', pullRequest })
+  })
+
+  it('normalizes published releases and ignores other events', () => {
+    expect(normalizeWebhookEvent('release', releasePublished).release).toEqual({
+      tag: 'v1.4.0',
+      name: 'Storefront 1.4.0',
+      prerelease: false,
+      target: 'main'
+    })
+    expect(normalizeWebhookEvent('release', { ...releasePublished, action: 'created' })).toBeNull()
+    expect(normalizeWebhookEvent('star', push)).toBeNull()
+  })
+})
+
+describe('webhookReceiver.receive', () => {
+  const handlers = { ...webhookReceiver.handlers }
+
+  beforeEach(() => {
+    webhookReceiver.setSecret(PROJECT_ID, SECRET)
+    webhookReceiver.seenDeliveries.clear()
+    mockApi({ '/github/users/monalisa': { userId: 'user-7', name: 'Mona Lisa' } })
+  })
+
+  afterEach(() => {
+    Object.assign(webhookReceiver.handlers, handlers)
+  })
+
+  it('dispatches a verified delivery to its handler', async () => {
+    const handler = vi.fn(async () => ({ deploymentId: 'dep-1' }))
+    webhookReceiver.handlers.push = handler
+
+    const outcome = await webhookReceiver.receive(PROJECT_ID, await signedRequest('push', push))
+
+    expect(handler).toHaveBeenCalledWith(PROJECT_ID, expect.objectContaining({ branch: 'main' }))
+    expect(outcome).toMatchObject({ status: DeliveryStatus.PROCESSED, deploymentId: 'dep-1' })
+  })
+
+  it('requests deployments on behalf of the app user who connected the sender', async () => {
+    const handler = vi.fn(async () => ({}))
+    webhookReceiver.handlers.push = handler
+
+    await webhookReceiver.receive(PROJECT_ID, await signedRequest('push', push))
+
+    expect(handler.mock.calls[0][1]).toMatchObject({ sender: 'monalisa', requestedBy: 'user-7' })
+  })
+
+  it('leaves no requester for a GitHub account no app user connected', async () => {
+    mockApi({ '/github/users/monalisa': reply(404, { message: 'Not found' }) })
+    const handler = vi.fn(async () => ({}))
+    webhookReceiver.handlers.push = handler
+
+    await webhookReceiver.receive(PROJECT_ID, await signedRequest('push', push))
+
+    expect(handler.mock.calls[0][1]).toMatchObject({ sender: 'monalisa', requestedBy: null })
+  })
+
+  it('skips commits with a skip marker', async () => {
+    const outcome = await webhookReceiver.receive(PROJECT_ID, await signedRequest('push', pushSkip))
+
+    expect(outcome.status).toBe(DeliveryStatus.SKIPPED)
+    expect(outcome.reason).toMatch(/skip marker/)
+  })
+
+  it('rejects a bad signature without dispatching', async () => {
+    const handler = vi.fn()
+    webhookReceiver.handlers.push = handler
+    const request = await signedRequest('push', push)
+    request.headers['X-Hub-Signature-256'] = await signPayload('another-secret', request.body)
+
+    await expect(webhookReceiver.receive(PROJECT_ID, request)).rejects.toThrow(AuthenticationError)
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  it('rejects a replayed delivery ID', async () => {
+    const handler = vi.fn(async () => ({}))
+    webhookReceiver.handlers.pull_request = handler
+    const request = await signedRequest('pull_request', pullRequestOpened, 'delivery-replayed')
+
+    await webhookReceiver.receive(PROJECT_ID, request)
+    await expect(webhookReceiver.receive(PROJECT_ID, request)).rejects.toThrow(ValidationError)
+    expect(handler).toHaveBeenCalledTimes(1)
+  })
+
+  it('rejects a duplicate that arrives while the first is still dispatching', async () => {
+    let finish
+    webhookReceiver.handlers.push = vi.fn(() => new Promise(resolve => { finish = resolve }))
+    const request = await signedRequest('push', push, 'delivery-concurrent')
+
+    const first = webhookReceiver.receive(PROJECT_ID, request)
+    await expect(webhookReceiver.receive(PROJECT_ID, request)).rejects.toThrow(/already received/)
+    finish({})
+    expect((await first).status).toBe(DeliveryStatus.PROCESSED)
+  })
+
+  it('accepts a redelivery of a failed delivery', async () => {
+    webhookReceiver.handlers.release = vi.fn()
+      .mockRejectedValueOnce(new Error('API unavailable'))
+      .mockResolvedValueOnce({ deploymentId: 'dep-2' })
+    const request = await signedRequest('release', releasePublished, 'delivery-failed')
+
+    expect((await webhookReceiver.receive(PROJECT_ID, request)).status).toBe(DeliveryStatus.FAILED)
+    expect((await webhookReceiver.receive(PROJECT_ID, request)).status).toBe(DeliveryStatus.PROCESSED)
+  })
+})
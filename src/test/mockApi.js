@@ -0,0 +1,59 @@
+/**
+ * API Mock
+ * Stubs fetch with canned responses for the API server, so services can be
+ * tested without a backend
+ */
+
+import { vi } from 'vitest'
+
+const REPLY = Symbol('reply')
+
+// Response with an explicit HTTP status, e.g. reply(404, { message })
+export const reply = (status, body = {}) => ({ [REPLY]: true, status, body })
+
+// routes maps 'METHOD /path' (or just '/path' for any method) to a response
+// body, to a reply(), or to a function of the request ({ method, path, body,
+// signal }) returning either. Requests are recorded in the returned calls
+// list; unknown routes answer {}.
+export const mockApi = (routes = {}) => {
+  const calls = []
+
+  vi.stubGlobal('fetch', vi.fn(async (url, options = {}) => {
+    const path = url.replace(/^https?:\/\/[^/]+\/api/, '')
+    const method = options.method || 'GET'
+    const request = {
+      method,
+      path,
+      body: options.body ? JSON.parse(options.body) : null,
+      headers: options.headers || {},
+      signal: options.signal
+    }
+    calls.push(request)
+
+    options.signal?.throwIfAborted()
+
+    const route = routes[`${method} ${path}`] ?? routes[path]
+    const result = (typeof route === 'function' ? await route(request) : route) ?? {}
+    const status = result[REPLY] ? result.status : 200
+    const body = result[REPLY] ? result.body : result
+
+    return {
+      ok: status < 400,
+      status,
+      json: async () => structuredClone(body)
+    }
+  }))
+
+  return calls
+}
+
+// Resolve once predicate() holds, checking every few milliseconds
+export const waitFor = async (predicate, { timeout = 2000, interval = 5 } = {}) => {
+  const start = Date.now()
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition')
+    }
+    await new Promise(resolve => setTimeout(resolve, interval))
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Socket Mock
+ * In-process WebSocket server for the log stream client, so reconnects and
+ * replay can be tested without a network. Pass server.WebSocket to
+ * logStream.configure({ WebSocket })
+ */
+
+// WebSocket readyState values
+const CONNECTING = 0
+const OPEN = 1
+const CLOSED = 3
+
+export class MockSocketServer {
+  constructor() {
+    // Every socket opened against the server, oldest first
+    this.connections = []
+    // Called with (connection, message) for each parsed client message
+    this.onMessage = null
+
+    const server = this
+
+    // Client side, with the browser WebSocket's callback interface. Opening
+    // completes on a later tick, as with a real socket.
+    this.WebSocket = class MockWebSocket {
+      constructor(url) {
+        this.url = url
+        this.readyState = CONNECTING
+        this.connection = new MockConnection(this, server)
+        server.connections.push(this.connection)
+
+        setTimeout(() => {
+          if (this.readyState !== CONNECTING) return
+          this.readyState = OPEN
+          this.onopen?.()
+        }, 0)
+      }
+
+      send(data) {
+        if (this.readyState !== OPEN) throw new Error('Socket is not open')
+        this.connection.receive(JSON.parse(data))
+      }
+
+      close() {
+        if (this.readyState === CLOSED) return
+        this.readyState = CLOSED
+        setTimeout(() => this.onclose?.(), 0)
+      }
+    }
+  }
+
+  // The most recently opened connection
+  get latest() {
+    return this.connections[this.connections.length - 1] || null
+  }
+}
+
+// Server side of one socket
+class MockConnection {
+  constructor(socket, server) {
+    this.socket = socket
+    this.server = server
+    // Parsed messages from the client, in order
+    this.messages = []
+  }
+
+  get url() {
+    return this.socket.url
+  }
+
+  get open() {
+    return this.socket.readyState === OPEN
+  }
+
+  receive(message) {
+    this.messages.push(message)
+    this.server.onMessage?.(this, message)
+  }
+
+  // Push a message to the client
+  send(message) {
+    if (!this.open) return
+    this.socket.onmessage?.({ data: JSON.stringify(message) })
+  }
+
+  // Drop the connection from the server side, as a network failure would
+  drop() {
+    this.socket.close()
+  }
+}
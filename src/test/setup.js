@@ -0,0 +1,29 @@
+/**
+ * Test Setup
+ * Services run under Node in tests; this provides the browser globals they
+ * touch when imported (localStorage, window listeners)
+ */
+
+import { afterEach, vi } from 'vitest'
+
+const createStorage = () => {
+  const items = new Map()
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  }
+}
+
+globalThis.localStorage = createStorage()
+globalThis.window = {
+  location: { href: 'http://localhost/', origin: 'http://localhost', hash: '' },
+  addEventListener() {},
+  removeEventListener() {}
+}
+
+afterEach(() => {
+  localStorage.clear()
+  vi.unstubAllGlobals()
+})
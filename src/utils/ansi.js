@@ -0,0 +1,106 @@
+/**
+ * ANSI escape code handling for build logs
+ * Turns SGR color/style sequences into styled text segments and strips
+ * every other escape sequence (cursor movement, erase line, ...)
+ */
+
+// CSI sequences (ESC [ params final-byte) and OSC sequences (ESC ] ... BEL)
+const ANSI_PATTERN = /\u001b\[[0-9;?]*[ -/]*[@-~]|\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)/g
+
+// Standard and bright colors (codes 30-37 / 90-97, 256-color indexes 0-15)
+const BASE_COLORS = [
+  '#1f2937', '#f87171', '#4ade80', '#facc15', '#60a5fa', '#c084fc', '#22d3ee', '#e5e7eb',
+  '#6b7280', '#fca5a5', '#86efac', '#fde047', '#93c5fd', '#d8b4fe', '#67e8f9', '#ffffff'
+]
+
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255]
+
+const toHex = (r, g, b) => `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`
+
+// Color for an index of the 256-color palette
+const paletteColor = (index) => {
+  if (index < 16) return BASE_COLORS[index]
+  if (index < 232) {
+    const value = index - 16
+    return toHex(CUBE_LEVELS[Math.floor(value / 36)], CUBE_LEVELS[Math.floor(value / 6) % 6], CUBE_LEVELS[value % 6])
+  }
+  const gray = 8 + (index - 232) * 10
+  return toHex(gray, gray, gray)
+}
+
+// Remove all escape sequences
+export const stripAnsi = (text) => String(text).replace(ANSI_PATTERN, '')
+
+// Apply one SGR sequence's parameters to the current style
+const applySgr = (style, params) => {
+  const codes = params === '' ? [0] : params.split(';').map(Number)
+  let next = { ...style }
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i]
+
+    if (code === 0) next = {}
+    else if (code === 1) next.bold = true
+    else if (code === 2) next.dim = true
+    else if (code === 3) next.italic = true
+    else if (code === 4) next.underline = true
+    else if (code === 22) { delete next.bold; delete next.dim }
+    else if (code === 23) delete next.italic
+    else if (code === 24) delete next.underline
+    else if (code >= 30 && code <= 37) next.color = BASE_COLORS[code - 30]
+    else if (code >= 90 && code <= 97) next.color = BASE_COLORS[code - 90 + 8]
+    else if (code === 39) delete next.color
+    else if (code >= 40 && code <= 47) next.background = BASE_COLORS[code - 40]
+    else if (code >= 100 && code <= 107) next.background = BASE_COLORS[code - 100 + 8]
+    else if (code === 49) delete next.background
+    else if (code === 38 || code === 48) {
+      // Extended colors: 38;5;n (palette) or 38;2;r;g;b (true color)
+      const key = code === 38 ? 'color' : 'background'
+      if (codes[i + 1] === 5 && codes[i + 2] !== undefined) {
+        next[key] = paletteColor(codes[i + 2])
+        i += 2
+      } else if (codes[i + 1] === 2 && codes[i + 4] !== undefined) {
+        next[key] = toHex(codes[i + 2], codes[i + 3], codes[i + 4])
+        i += 4
+      }
+    }
+  }
+
+  return next
+}
+
+// Split text into { text, style } segments; style is empty for plain text
+// and otherwise holds color, background, bold, dim, italic and underline
+export const parseAnsi = (text) => {
+  const source = String(text)
+  const segments = []
+  let style = {}
+  let lastIndex = 0
+
+  const push = (chunk) => {
+    if (chunk) segments.push({ text: chunk, style })
+  }
+
+  source.replace(ANSI_PATTERN, (sequence, offset) => {
+    push(source.slice(lastIndex, offset))
+    lastIndex = offset + sequence.length
+
+    if (sequence.startsWith('\u001b[') && sequence.endsWith('m')) {
+      style = applySgr(style, sequence.slice(2, -1))
+    }
+    return sequence
+  })
+  push(source.slice(lastIndex))
+
+  return segments
+}
+
+// Inline CSS for a segment style
+export const toCssStyle = (style) => ({
+  ...(style.color && { color: style.color }),
+  ...(style.background && { backgroundColor: style.background }),
+  ...(style.bold && { fontWeight: 600 }),
+  ...(style.dim && { opacity: 0.7 }),
+  ...(style.italic && { fontStyle: 'italic' }),
+  ...(style.underline && { textDecoration: 'underline' })
+})
@@ -2,6 +2,8 @@
  * Centralized Error Handling and Validation System for DeployGenie
  */
 
+import { redact, redactDeep, secretRegistry } from './redaction'
+
 // Error types for better categorization
 export const ErrorTypes = {
   NETWORK: 'NETWORK_ERROR',
@@ -13,6 +15,14 @@ export const ErrorTypes = {
   UNKNOWN: 'UNKNOWN_ERROR',
 }
 
+// Reasons attached to DeploymentErrors that are not ordinary stage failures
+export const DeploymentFailureReasons = {
+  CANCELLED: 'cancelled',
+  TIMEOUT: 'timeout',
+  REJECTED: 'rejected',
+  FROZEN: 'frozen',
+}
+
 // Custom error classes
 export class DeployGenieError extends Error {
   constructor(message, type = ErrorTypes.UNKNOWN, details = {}) {
@@ -25,8 +35,8 @@ export class DeployGenieError extends Error {
 }
 
 export class ValidationError extends DeployGenieError {
-  constructor(message, field = null, value = null) {
-    super(message, ErrorTypes.VALIDATION, { field, value })
+  constructor(message, field = null, value = null, line = null) {
+    super(message, ErrorTypes.VALIDATION, { field, value, line })
     this.name = 'ValidationError'
   }
 }
@@ -46,8 +56,8 @@ export class AuthenticationError extends DeployGenieError {
 }
 
 export class DeploymentError extends DeployGenieError {
-  constructor(message, projectId = null, deploymentId = null, stage = null) {
-    super(message, ErrorTypes.DEPLOYMENT, { projectId, deploymentId, stage })
+  constructor(message, projectId = null, deploymentId = null, stage = null, reason = null) {
+    super(message, ErrorTypes.DEPLOYMENT, { projectId, deploymentId, stage, reason })
     this.name = 'DeploymentError'
   }
 }
@@ -71,14 +81,16 @@ class ErrorHandler {
   }
 
   // Log error to internal log
+  // Secrets are masked first, as errors may quote logs or request data
   logError(error) {
+    const secrets = secretRegistry.getMatcher()
     const errorEntry = {
       id: Date.now().toString(),
       timestamp: new Date().toISOString(),
-      message: error.message,
+      message: redact(error.message, secrets),
       type: error.type || ErrorTypes.UNKNOWN,
-      details: error.details || {},
-      stack: error.stack,
+      details: redactDeep(error.details || {}, secrets),
+      stack: redact(error.stack, secrets),
     }
 
     this.errorLog.unshift(errorEntry)
@@ -211,7 +223,7 @@ class ErrorHandler {
       await fetch('/api/logs', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(errorEntry),
+        body: JSON.stringify(redactDeep(errorEntry)),
       })
     } catch (loggingError) {
       console.error('Failed to send error to logging service:', loggingError)
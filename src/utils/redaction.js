@@ -0,0 +1,173 @@
+/**
+ * Secret redaction for deployment logs and error reports
+ * Masks secret values the client has seen, values assigned to secret
+ * variables by name, and well-known credential formats before text is
+ * stored, shown to subscribers or shipped to the logging service
+ */
+
+export const REDACTED = '[REDACTED]'
+
+// Shorter values are too likely to appear by chance to be masked
+const MIN_SECRET_LENGTH = 6
+
+// Well-known credential formats. A pattern's first capture group, if any,
+// is a label (header name, URL user, ...) that is kept in front of the mask.
+export const SECRET_PATTERNS = [
+  { name: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { name: 'stripe-key', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{10,}\b/g },
+  { name: 'stripe-webhook-secret', pattern: /\bwhsec_[A-Za-z0-9]{24,}\b/g },
+  { name: 'aws-access-key-id', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'aws-secret-access-key', pattern: /(aws_?secret_?access_?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}/gi },
+  { name: 'authorization-header', pattern: /(\bauthorization["']?\s*[:=]\s*["']?(?:bearer\s+|basic\s+|token\s+)?)[^\s"',;]+/gi },
+  { name: 'bearer-token', pattern: /(\bbearer\s+)[A-Za-z0-9\-._~+/]{8,}=*/gi },
+  { name: 'url-credentials', pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s/@]+(?=@)/gi }
+]
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const keepLabel = (match, label) => (typeof label === 'string' ? label + REDACTED : REDACTED)
+
+// Compile secret values and secret variable names into the expressions
+// redact applies. Values the server keeps write-only are unknown to the
+// client, but logs usually print them as NAME=value or "NAME": "value".
+export const compileSecrets = (secrets = [], names = []) => {
+  // Longest first, so a secret containing another is masked whole
+  const known = [...new Set(secrets)]
+    .filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH)
+    .sort((a, b) => b.length - a.length)
+  const knownNames = [...new Set(names)].filter(name => typeof name === 'string' && name !== '')
+
+  return {
+    values: known.length > 0 ? new RegExp(known.map(escapeRegExp).join('|'), 'g') : null,
+    assignments: knownNames.length > 0
+      ? new RegExp(`(\\b(?:${knownNames.map(escapeRegExp).join('|')})["']?\\s*[:=]\\s*["']?)[^\\s"',;]+`, 'g')
+      : null
+  }
+}
+
+// Mask known secrets and credential patterns in a string; other values are
+// returned unchanged. secrets is a compiled matcher (see compileSecrets and
+// secretRegistry.getMatcher); by default every known secret is masked.
+export const redact = (text, secrets = secretRegistry.getMatcher()) => {
+  if (typeof text !== 'string' || text === '') return text
+
+  let result = text
+
+  if (secrets.values) {
+    result = result.replace(secrets.values, REDACTED)
+  }
+  if (secrets.assignments) {
+    result = result.replace(secrets.assignments, keepLabel)
+  }
+
+  for (const { pattern } of SECRET_PATTERNS) {
+    result = result.replace(pattern, keepLabel)
+  }
+
+  return result
+}
+
+// Redact every string in a value (error details, log payloads, ...)
+export const redactDeep = (value, secrets = secretRegistry.getMatcher(), seen = new WeakSet()) => {
+  if (typeof value === 'string') return redact(value, secrets)
+  if (!value || typeof value !== 'object' || seen.has(value)) return value
+
+  seen.add(value)
+  if (Array.isArray(value)) {
+    return value.map(item => redactDeep(item, secrets, seen))
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, redactDeep(item, secrets, seen)])
+  )
+}
+
+// Secret values the client has seen (API token, webhook secrets, secret
+// variables entered this session) and the names of the secret variables
+// the API reports, scoped globally, to a project, or to a project
+// environment. Values are kept in memory only.
+class SecretRegistry {
+  constructor() {
+    this.scopes = new Map()
+    this.names = new Map()
+    // Compiled matchers by scope key, valid for the current version
+    this.version = 0
+    this.matchers = new Map()
+  }
+
+  changed() {
+    this.version++
+    this.matchers.clear()
+  }
+
+  getScopeKey({ projectId = null, environment = null } = {}) {
+    if (!projectId) return '*'
+    return environment ? `${projectId}/${environment}` : projectId
+  }
+
+  register(value, scope = {}) {
+    if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH) return
+
+    const key = this.getScopeKey(scope)
+    if (!this.scopes.has(key)) {
+      this.scopes.set(key, new Set())
+    }
+    if (!this.scopes.get(key).has(value)) {
+      this.scopes.get(key).add(value)
+      this.changed()
+    }
+  }
+
+  unregister(value, scope = {}) {
+    if (this.scopes.get(this.getScopeKey(scope))?.delete(value)) {
+      this.changed()
+    }
+  }
+
+  // Remember which of a project environment's variables are secret, from
+  // the variables the API returns (secret values come back as null)
+  registerVariables(variables = [], scope = {}) {
+    const key = this.getScopeKey(scope)
+    const names = variables.filter(variable => variable.secret).map(variable => variable.name).sort()
+    const current = [...(this.names.get(key) || [])].sort()
+
+    if (names.join(',') !== current.join(',')) {
+      this.names.set(key, new Set(names))
+      this.changed()
+    }
+  }
+
+  // Scope keys that apply to a scope: global, the project's and, with an
+  // environment, the project environment's
+  getScopeKeys({ projectId = null, environment = null } = {}) {
+    const keys = ['*']
+    if (projectId) keys.push(this.getScopeKey({ projectId }))
+    if (projectId && environment) keys.push(this.getScopeKey({ projectId, environment }))
+    return keys
+  }
+
+  // Matcher for redact covering a scope, or every scope when none is given.
+  // Compiled once per registry version rather than for every log line
+  getMatcher(scope = null) {
+    const key = scope ? this.getScopeKeys(scope).join('|') : ''
+    if (!this.matchers.has(key)) {
+      const keys = scope ? this.getScopeKeys(scope) : [...new Set([...this.scopes.keys(), ...this.names.keys()])]
+      this.matchers.set(key, compileSecrets(
+        keys.flatMap(scopeKey => [...(this.scopes.get(scopeKey) || [])]),
+        keys.flatMap(scopeKey => [...(this.names.get(scopeKey) || [])])
+      ))
+    }
+    return this.matchers.get(key)
+  }
+
+  clear() {
+    this.scopes.clear()
+    this.names.clear()
+    this.changed()
+  }
+}
+
+// Create singleton instance
+export const secretRegistry = new SecretRegistry()
+
+export default secretRegistry
@@ -0,0 +1,56 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { REDACTED, compileSecrets, redact, redactDeep, secretRegistry } from './redaction'
+
+const PROD = { projectId: 'proj-1', environment: 'production' }
+
+describe('redaction', () => {
+  afterEach(() => {
+    secretRegistry.clear()
+  })
+
+  it('masks known values, longest first, and leaves short ones alone', () => {
+    const secrets = compileSecrets(['hunter2-password', 'hunter2-password-extended', 'abc'])
+
+    expect(redact('pw=hunter2-password-extended, abc', secrets)).toBe(`pw=${REDACTED}, abc`)
+  })
+
+  it('masks values assigned to secret variable names', () => {
+    const secrets = compileSecrets([], ['DATABASE_URL', 'API_KEY'])
+
+    expect(redact('DATABASE_URL=postgres://db.internal/app', secrets)).toBe(`DATABASE_URL=${REDACTED}`)
+    expect(redact('{"API_KEY": "k-12345"}', secrets)).toBe(`{"API_KEY": "${REDACTED}"}`)
+    expect(redact('MY_API_KEY=visible NODE_ENV=production', secrets)).toBe('MY_API_KEY=visible NODE_ENV=production')
+  })
+
+  it('masks names the API reports for a project environment only in that scope', () => {
+    secretRegistry.registerVariables([
+      { name: 'STRIPE_SECRET', value: null, secret: true },
+      { name: 'NODE_ENV', value: 'production', secret: false }
+    ], PROD)
+
+    expect(redact('STRIPE_SECRET=abc NODE_ENV=production', secretRegistry.getMatcher(PROD)))
+      .toBe(`STRIPE_SECRET=${REDACTED} NODE_ENV=production`)
+    expect(redact('STRIPE_SECRET=abc', secretRegistry.getMatcher({ ...PROD, environment: 'staging' })))
+      .toBe('STRIPE_SECRET=abc')
+    expect(redactDeep({ error: 'STRIPE_SECRET: abc' })).toEqual({ error: `STRIPE_SECRET: ${REDACTED}` })
+  })
+
+  it('compiles a scope once per registry version', () => {
+    secretRegistry.register('first-secret', PROD)
+    const matcher = secretRegistry.getMatcher(PROD)
+
+    expect(secretRegistry.getMatcher(PROD)).toBe(matcher)
+
+    secretRegistry.register('first-secret', PROD)
+    secretRegistry.registerVariables([], PROD)
+    expect(secretRegistry.getMatcher(PROD)).toBe(matcher)
+
+    secretRegistry.register('second-secret', PROD)
+    const updated = secretRegistry.getMatcher(PROD)
+    expect(updated).not.toBe(matcher)
+    expect(redact('first-secret second-secret', updated)).toBe(`${REDACTED} ${REDACTED}`)
+
+    secretRegistry.unregister('first-secret', PROD)
+    expect(redact('first-secret second-secret', secretRegistry.getMatcher(PROD))).toBe(`first-secret ${REDACTED}`)
+  })
+})
@@ -3,4 +3,8 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
-})
\ No newline at end of file
+  test: {
+    environment: 'node',
+    setupFiles: ['./src/test/setup.js']
+  }
+})